@@ -1,53 +1,186 @@
 import dotenv from "dotenv";
-import OAuth from "oauth-1.0a";
-import crypto from "crypto";
+import { fileURLToPath } from "url";
 
 dotenv.config();
 
-export const netsuiteConfig = {
-  baseUrl: process.env.NETSUITE_BASE_URL || "https://3421015-sb1.suitetalk.api.netsuite.com/services/rest/record/v1",
-  realm: process.env.NETSUITE_REALM || "3421015_SB1",
-  consumerKey: process.env.NETSUITE_CONSUMER_KEY,
-  consumerSecret: process.env.NETSUITE_CONSUMER_SECRET,
-  token: process.env.NETSUITE_TOKEN,
-  tokenSecret: process.env.NETSUITE_TOKEN_SECRET,
-  syncDate: process.env.SYNC_DATE || "20/12/2025"
-};
+const DEFAULT_BASE_URL = "https://3421015-sb1.suitetalk.api.netsuite.com/services/rest/record/v1";
+const DEFAULT_REALM = "3421015_SB1";
 
-// Initialize OAuth 1.0
-const oauth = OAuth({
-  consumer: {
-    key: netsuiteConfig.consumerKey,
-    secret: netsuiteConfig.consumerSecret
-  },
-  signature_method: 'HMAC-SHA256',
-  hash_function(base_string, key) {
-    return crypto
-      .createHmac('sha256', key)
-      .update(base_string)
-      .digest('base64');
-  }
-});
+// Settings a named account profile falls back to from the unprefixed
+// NETSUITE_* variables when it does not set its own. Credentials and the
+// account address never fall back.
+const SHARED_SETTINGS = [
+  "AUTH_METHOD",
+  "OAUTH2_SCOPES",
+  "JWT_ALGORITHM",
+  "DATE_FORMAT",
+  "TIMEZONE",
+  "MAX_CONCURRENT",
+  "MIN_TIME_MS",
+  "MIN_TIME_FLOOR_MS",
+  "MIN_TIME_CEILING_MS",
+  "TIMEOUT_MS",
+  "MAX_RETRIES",
+  "RETRY_BASE_DELAY_MS",
+  "RETRY_MAX_DELAY_MS",
+  "CIRCUIT_FAILURE_THRESHOLD",
+  "CIRCUIT_COOLDOWN_MS",
+  "CIRCUIT_MAX_PAUSE_MS"
+];
 
-// Function to generate OAuth headers
-export const generateOAuthHeaders = (url, method = "GET") => {
-  const token = {
-    key: netsuiteConfig.token,
-    secret: netsuiteConfig.tokenSecret
+// Build one account profile from NETSUITE_<PROFILE>_* variables. The
+// "default" profile (used when NETSUITE_ACCOUNTS is not set) reads the plain
+// NETSUITE_* variables and falls back to the 3421015_SB1 sandbox.
+function buildAccountConfig(name, envPrefix) {
+  const isDefaultProfile = envPrefix === "NETSUITE_";
+  const env = (key) => {
+    const value = process.env[`${envPrefix}${key}`];
+    if (value !== undefined || isDefaultProfile || !SHARED_SETTINGS.includes(key)) return value;
+    return process.env[`NETSUITE_${key}`];
   };
 
-  const requestData = {
-    url: url,
-    method: method
+  const accountId = env("ACCOUNT_ID");
+  const baseUrl = env("BASE_URL")
+    || (accountId && `https://${accountId.toLowerCase().replace(/_/g, "-")}.suitetalk.api.netsuite.com/services/rest/record/v1`)
+    || (isDefaultProfile ? DEFAULT_BASE_URL : null);
+
+  if (!baseUrl) {
+    throw new Error(`NetSuite account "${name}" needs ${envPrefix}ACCOUNT_ID or ${envPrefix}BASE_URL`);
+  }
+
+  return {
+    name,
+    baseUrl,
+    suiteqlUrl: env("SUITEQL_URL") || baseUrl.replace("/record/v1", "/query/v1/suiteql"),
+    realm: env("REALM") || accountId || DEFAULT_REALM,
+
+    // Auth provider (utils/netsuiteAuth.js): "tba" (OAuth 1.0a tokens) or "oauth2" (client credentials)
+    authMethod: env("AUTH_METHOD") || "tba",
+
+    // Token-Based Authentication
+    consumerKey: env("CONSUMER_KEY"),
+    consumerSecret: env("CONSUMER_SECRET"),
+    token: env("TOKEN"),
+    tokenSecret: env("TOKEN_SECRET"),
+
+    // OAuth 2.0 client credentials (machine-to-machine)
+    clientId: env("CLIENT_ID"),
+    certificateId: env("CERTIFICATE_ID"),
+    privateKey: env("PRIVATE_KEY")?.replace(/\\n/g, "\n"),
+    privateKeyPath: env("PRIVATE_KEY_PATH"),
+    tokenUrl: env("TOKEN_URL") || baseUrl.replace("/record/v1", "/auth/oauth2/v1/token"),
+    oauth2Scopes: env("OAUTH2_SCOPES") || "rest_webservices",
+    jwtAlgorithm: env("JWT_ALGORITHM") || "PS256",
+
+    // Date format used by the account, needed to build SuiteQL TO_DATE filters
+    dateFormat: env("DATE_FORMAT") || "DD/MM/YYYY",
+    // Time zone SuiteQL returns timestamps in (the integration user's, e.g.
+    // "Asia/Hong_Kong"); they carry no offset and are read as this zone's time
+    timeZone: env("TIMEZONE") || "UTC",
+
+    // Request client settings (utils/netsuiteRequest.js); each account has its own limiter.
+    // maxConcurrent/minTime are starting values; the adaptive limiter moves them
+    // between 1..concurrencyLimit and minTimeFloor..minTimeCeiling as NetSuite responds.
+    maxConcurrent: parseInt(env("MAX_CONCURRENT")) || 1,
+    minTime: parseInt(env("MIN_TIME_MS")) || 1200,
+    // Concurrency limit of the account's service tier (Setup > Integration > Integration Governance)
+    concurrencyLimit: parseInt(env("CONCURRENCY_LIMIT")) || 5,
+    minTimeFloor: parseInt(env("MIN_TIME_FLOOR_MS")) || 100,
+    minTimeCeiling: parseInt(env("MIN_TIME_CEILING_MS")) || 10000,
+    timeout: parseInt(env("TIMEOUT_MS")) || 30000,
+
+    // Retries for throttled and transient failures (utils/retryPolicy.js):
+    // exponential backoff from retryBaseDelay up to retryMaxDelay, with jitter
+    maxRetries: env("MAX_RETRIES") ? parseInt(env("MAX_RETRIES")) : 3,
+    retryBaseDelay: parseInt(env("RETRY_BASE_DELAY_MS")) || 1000,
+    retryMaxDelay: parseInt(env("RETRY_MAX_DELAY_MS")) || 30000,
+
+    // Circuit breaker (utils/circuitBreaker.js): open after this many transient
+    // failures in a row, probe again after the cooldown, give up after maxPause
+    circuitFailureThreshold: parseInt(env("CIRCUIT_FAILURE_THRESHOLD")) || 5,
+    circuitCooldown: parseInt(env("CIRCUIT_COOLDOWN_MS")) || 30000,
+    circuitMaxPause: parseInt(env("CIRCUIT_MAX_PAUSE_MS")) || 10 * 60 * 1000
   };
+}
 
-  // Generate OAuth 1.0 headers
-  const oauthHeaders = oauth.toHeader(oauth.authorize(requestData, token));
-  
-  // Add realm to the OAuth header
-  const authHeader = oauthHeaders['Authorization'] + `, realm="${netsuiteConfig.realm}"`;
-  
-  return authHeader;
+// Named profiles come from NETSUITE_ACCOUNTS, e.g. "sandbox,production";
+// profile "production" then reads NETSUITE_PRODUCTION_ACCOUNT_ID and so on
+const profileNames = (process.env.NETSUITE_ACCOUNTS || "")
+  .split(",")
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const accounts = profileNames.length > 0
+  ? Object.fromEntries(profileNames.map(name => [
+      name,
+      buildAccountConfig(name, `NETSUITE_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`)
+    ]))
+  : { default: buildAccountConfig("default", "NETSUITE_") };
+
+// Account used when a caller does not name one
+export const DEFAULT_ACCOUNT = process.env.NETSUITE_DEFAULT_ACCOUNT || Object.keys(accounts)[0];
+
+if (!accounts[DEFAULT_ACCOUNT]) {
+  throw new Error(`NETSUITE_DEFAULT_ACCOUNT "${DEFAULT_ACCOUNT}" is not listed in NETSUITE_ACCOUNTS`);
+}
+
+export const listAccounts = () => Object.keys(accounts);
+
+export const hasAccount = (name) => Object.prototype.hasOwnProperty.call(accounts, name);
+
+// Get an account profile by name
+export const getAccountConfig = (name = DEFAULT_ACCOUNT) => {
+  if (!hasAccount(name)) {
+    throw new Error(`Unknown NetSuite account "${name}". Configured accounts: ${listAccounts().join(", ")}`);
+  }
+  return accounts[name];
+};
+
+// Default account profile plus process-wide sync settings
+export const netsuiteConfig = {
+  ...accounts[DEFAULT_ACCOUNT],
+  syncDate: process.env.SYNC_DATE || "20/12/2025",
+  // Inventory sync mode: "rest" (record API, one call per sub-resource),
+  // "expand" (record API with sublists inlined) or "suiteql" (bulk queries)
+  syncMode: process.env.SYNC_MODE || "rest",
+  // Item types the inventory sync walks, in order (utils/itemTypes.js)
+  syncItemTypes: process.env.SYNC_ITEM_TYPES || "inventoryItem,lotNumberedInventoryItem,kitItem,assemblyItem,nonInventoryResaleItem",
+  // Sales order sync mode: "rest" or "expand"
+  salesOrderSyncMode: process.env.SALES_ORDER_SYNC_MODE || "rest",
+  // NetSuite traffic: "live", "record" (call NetSuite and save every exchange)
+  // or "replay" (answer from saved exchanges without calling NetSuite)
+  trafficMode: process.env.NETSUITE_TRAFFIC_MODE || "live",
+  trafficDir: process.env.NETSUITE_TRAFFIC_DIR || "recordings/netsuite",
+  // Field mappings (utils/fieldMapping.js): "file" or "db" (FieldMapping collection)
+  fieldMappingsSource: process.env.FIELD_MAPPINGS_SOURCE || "file",
+  fieldMappingsFile: process.env.FIELD_MAPPINGS_FILE || fileURLToPath(new URL("./fieldMappings.json", import.meta.url)),
+  // Which price levels become the trade, retail and display prices (utils/pricing.js)
+  priceRulesFile: process.env.PRICE_RULES_FILE || fileURLToPath(new URL("./priceRules.json", import.meta.url)),
+  // Rules the data-quality audit checks items against (utils/dataQuality.js)
+  dataQualityRulesFile: process.env.DATA_QUALITY_RULES_FILE || fileURLToPath(new URL("./dataQualityRules.json", import.meta.url)),
+  // Subsidiary base currency: average cost is held in it, and prices whose
+  // currency has no known code (utils/currency.js) fall back to it
+  baseCurrency: process.env.BASE_CURRENCY || "HKD",
+  // Currency reports convert amounts into (utils/currency.js); ?currency= overrides it
+  reportingCurrency: process.env.REPORTING_CURRENCY || "HKD",
+  // Take an inventory snapshot (scripts/snapshotInventory.js) after each full inventory sync
+  snapshotAfterSync: process.env.SNAPSHOT_AFTER_SYNC !== "false",
+  // Raw NetSuite payloads (models/RawPayload.js) kept per record: at most this
+  // many versions, none older than this many days (0 keeps them regardless of
+  // age); the latest version is always kept
+  rawPayloadMaxVersions: parseInt(process.env.RAW_PAYLOAD_MAX_VERSIONS) || 5,
+  rawPayloadMaxAgeDays: parseInt(process.env.RAW_PAYLOAD_MAX_AGE_DAYS ?? "90") || 0
+};
+
+// Format a date in an account's date format (e.g. DD/MM/YYYY) for record API filters
+export const formatNetSuiteDate = (date, dateFormat = netsuiteConfig.dateFormat) => {
+  const d = new Date(date);
+  const parts = {
+    YYYY: String(d.getUTCFullYear()),
+    MM: String(d.getUTCMonth() + 1).padStart(2, "0"),
+    DD: String(d.getUTCDate()).padStart(2, "0")
+  };
+  return dateFormat.replace(/YYYY|MM|DD/g, token => parts[token]);
 };
 
 // Function to encode URL parameters properly
@@ -0,0 +1,126 @@
+import DataQualityReport from "../models/DataQualityReport.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { getDataQualityRules } from "../utils/dataQuality.js";
+import { auditDataQuality } from "../scripts/auditDataQuality.js";
+
+// Reject accounts that are not configured; an absent account is fine
+const validateAccount = (account, res) => {
+  if (account === undefined || hasAccount(account)) return true;
+  
+  res.status(400).json({
+    success: false,
+    message: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`,
+  });
+  return false;
+};
+
+// Parse an optional date query parameter; undefined when absent, null when invalid
+const parseDate = (value, name, res) => {
+  if (value === undefined) return undefined;
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${name}: ${value}. Use an ISO date such as 2025-06-30`,
+    });
+    return null;
+  }
+  return date;
+};
+
+// Rules the audit checks, as configured
+// GET /api/data-quality/rules
+export const getRules = async (req, res) => {
+  try {
+    const rules = getDataQualityRules().map(({ regex, ...rule }) => rule);
+    
+    res.status(200).json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("❌ Error reading data-quality rules:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to read data-quality rules",
+      error: error.message,
+    });
+  }
+};
+
+// Current scores per rule and the lowest-scoring items, without saving
+// GET /api/data-quality?account=production&limit=50&rule=vintageFormat&item=11565
+export const getReport = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const result = await auditDataQuality({
+      account: req.query.account || DEFAULT_ACCOUNT,
+      save: false,
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      rule: req.query.rule || null,
+      internalId: req.query.item === undefined ? null : parseInt(req.query.item)
+    });
+    
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error("❌ Error building data-quality report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build data-quality report",
+      error: error.message,
+    });
+  }
+};
+
+// Run an audit and keep its totals for the trend
+// POST /api/data-quality { "account": "production" }
+export const runAudit = async (req, res) => {
+  try {
+    if (!validateAccount(req.body.account, res)) return;
+    
+    const result = await auditDataQuality({
+      account: req.body.account || DEFAULT_ACCOUNT,
+      limit: req.body.limit ?? 50
+    });
+    
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("❌ Error running data-quality audit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run data-quality audit",
+      error: error.message,
+    });
+  }
+};
+
+// Saved audit totals over time
+// GET /api/data-quality/trend?from=2025-01-01&to=2025-06-30&rule=requiredAttributes
+export const getTrend = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const from = parseDate(req.query.from, "from", res);
+    if (from === null) return;
+    const to = parseDate(req.query.to, "to", res);
+    if (to === null) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const trend = await DataQualityReport.trend(account, { from, to, rule: req.query.rule || null });
+    
+    res.status(200).json({
+      success: true,
+      account,
+      data: trend,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching data-quality trend:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch data-quality trend",
+      error: error.message,
+    });
+  }
+};
@@ -1,127 +1,20 @@
 import InventoryItem from "../models/InventoryItem.js";
 import netsuiteService from "../services/netsuiteService.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { loadFieldMappings } from "../utils/fieldMapping.js";
+import { normaliseVintage, bottleVolumeMl, WINE_COLOURS } from "../utils/wineAttributes.js";
+import { loadCurrencyCodes } from "../utils/currency.js";
+import { transformInventoryData } from "../scripts/syncInventory.js";
 
-// Helper function to map NetSuite response to meaningful field names
-const mapNetSuiteToMongoose = (itemDetail) => {
-
-    const price = itemDetail.priceData?.price || 0;
-  const currency = itemDetail.priceData?.currency || "HKD";
-  return {
-    internalId: itemDetail.internalId,
-    
-        // Price Information
-        price: price,
-    currency: currency,
-    
-
-    // Map custitem_wineid to omtisWineId
-    omtisWineId: itemDetail.custitem_wineid || null,
-    
-    // Map unitsType to unitType
-    unitType: itemDetail.unitsType ? {
-      id: itemDetail.unitsType.id,
-      name: itemDetail.unitsType.refName,
-    } : null,
-    
-    // Map itemId to itemName
-    itemName: itemDetail.itemId,
-    
-    // Map custitem86 to replenishmentId
-    replenishmentId: itemDetail.custitem86 || null,
-    
-    // Purchase description
-    purchaseDescription: itemDetail.purchaseDescription || null,
-    
-    // Map custitem_product_desc to productDescription
-    productDescription: itemDetail.custitem_product_desc || null,
-    
-    // Map custitem_inventory_category to inventoryCategory
-    inventoryCategory: itemDetail.custitem_inventory_category ? {
-      id: itemDetail.custitem_inventory_category.id,
-      name: itemDetail.custitem_inventory_category.refName,
-    } : null,
-    
-    // Map custitem_inventory_subcategory to inventorySubcategory
-    inventorySubcategory: itemDetail.custitem_inventory_subcategory ? {
-      id: itemDetail.custitem_inventory_subcategory.id,
-      name: itemDetail.custitem_inventory_subcategory.refName,
-    } : null,
-    
-    // Map custitem20 to omtisWineCategory
-    omtisWineCategory: itemDetail.custitem20 ? {
-      id: itemDetail.custitem20.id,
-      name: itemDetail.custitem20.refName,
-    } : null,
-    
-    // Map custitem15 to producer
-    producer: itemDetail.custitem15 ? {
-      id: itemDetail.custitem15.id,
-      name: itemDetail.custitem15.refName,
-    } : null,
-    
-    // Map custitemliveexwinename to omtisNameDetail
-    omtisNameDetail: itemDetail.custitemliveexwinename || null,
-    
-    // Map custitem26 to omtisName
-    omtisName: itemDetail.custitem26 ? {
-      id: itemDetail.custitem26.id,
-      name: itemDetail.custitem26.refName,
-    } : null,
-    
-    // Map custitem_classification to wineClassification
-    wineClassification: itemDetail.custitem_classification ? {
-      id: itemDetail.custitem_classification.id,
-      name: itemDetail.custitem_classification.refName,
-    } : null,
-    
-    // Map custitem3 to vintage
-    vintage: itemDetail.custitem3 || null,
-    
-    // Map custitem_wine_appellation to appellation
-    appellation: itemDetail.custitem_wine_appellation ? {
-      id: itemDetail.custitem_wine_appellation.id,
-      name: itemDetail.custitem_wine_appellation.refName,
-    } : null,
-    
-    // Map custitem19 to bottleSize
-    bottleSize: itemDetail.custitem19 ? {
-      id: itemDetail.custitem19.id,
-      name: itemDetail.custitem19.refName,
-    } : null,
-    
-    // Map custitem_sub_region to subRegion
-    subRegion: itemDetail.custitem_sub_region ? {
-      id: itemDetail.custitem_sub_region.id,
-      name: itemDetail.custitem_sub_region.refName,
-    } : null,
-    
-    // Weight
-    weight: itemDetail.weight || null,
-    
-    // Map weightUnit
-    weightUnit: itemDetail.weightUnit ? {
-      id: itemDetail.weightUnit.id,
-      name: itemDetail.weightUnit.refName,
-    } : null,
-    
-    // Map custitem_region to region
-    region: itemDetail.custitem_region ? {
-      id: itemDetail.custitem_region.id,
-      name: itemDetail.custitem_region.refName,
-    } : null,
-    
-    // Map custitem9 to country
-    country: itemDetail.custitem9 ? {
-      id: itemDetail.custitem9.id,
-      name: itemDetail.custitem9.refName,
-    } : null,
-    
-    // Map custitem_type to wineType
-    wineType: itemDetail.custitem_type ? {
-      id: itemDetail.custitem_type.id,
-      name: itemDetail.custitem_type.refName,
-    } : null,
-  };
+// Reject accounts that are not configured; an absent account is fine
+const validateAccount = (account, res) => {
+  if (account === undefined || hasAccount(account)) return true;
+  
+  res.status(400).json({
+    success: false,
+    message: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`,
+  });
+  return false;
 };
 
 // Sync inventory items from NetSuite
@@ -133,6 +26,9 @@ export const syncInventoryItems = async (req, res) => {
     console.log("🔄 Starting NetSuite inventory sync with price...");
     console.log(`📊 Limit: ${limit} items, Batch size: ${batchSize}`);
     
+    const fieldMappings = await loadFieldMappings("inventoryItem", { schema: InventoryItem.schema });
+    await loadCurrencyCodes(netsuiteService.account);
+    
     // Step 1: Get all inventory item IDs
     const itemsListResponse = await netsuiteService.getAllInventoryItems();
     const itemIds = itemsListResponse.items.map(item => item.id);
@@ -174,13 +70,14 @@ export const syncInventoryItems = async (req, res) => {
     
     for (const itemDetail of results) {
       try {
-        const mappedItem = mapNetSuiteToMongoose(itemDetail);
+        // Same transform and upsert as npm run sync. Locations are not
+        // fetched here, so the stored locations and their sync status are kept.
+        const mappedItem = {
+          ...transformInventoryData({ ...itemDetail, locationsData: null }, fieldMappings),
+          account: netsuiteService.account
+        };
         
-        const savedItem = await InventoryItem.findOneAndUpdate(
-          { internalId: mappedItem.internalId },
-          mappedItem,
-          { upsert: true, new: true }
-        );
+        const savedItem = await InventoryItem.upsertFromNetSuite(mappedItem);
         
         syncedItems.push(savedItem);
         
@@ -200,6 +97,8 @@ export const syncInventoryItems = async (req, res) => {
       }
     }
     
+    if (syncedItems.length > 0) await InventoryItem.stampInactiveChanges(netsuiteService.account);
+    
     console.log(`🎉 Sync completed! ${syncedItems.length} items synced successfully`);
     
     res.status(200).json({
@@ -233,17 +132,18 @@ export const syncInventoryItems = async (req, res) => {
 // Get all inventory items from MongoDB
 export const getAllItems = async (req, res) => {
   try {
-    const { page = 1, limit = 50, sort = '-createdAt' } = req.query;
+    const { page = 1, limit = 50, sort = '-createdAt', includeRemoved } = req.query;
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = InventoryItem.activeFilter({}, includeRemoved === "true");
     
     const items = await InventoryItem
-      .find()
+      .find(filter)
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
     
-    const total = await InventoryItem.countDocuments();
+    const total = await InventoryItem.countDocuments(filter);
     
     res.status(200).json({
       success: true,
@@ -270,9 +170,12 @@ export const getAllItems = async (req, res) => {
 // Get single item by internal ID
 export const getItemById = async (req, res) => {
   try {
+    if (!validateAccount(req.query.account, res)) return;
+    
     const { id } = req.params;
+    const account = req.query.account || DEFAULT_ACCOUNT;
     
-    const item = await InventoryItem.findOne({ internalId: id });
+    const item = await InventoryItem.findOne({ account, internalId: id });
     
     if (!item) {
       return res.status(404).json({
@@ -295,32 +198,97 @@ export const getItemById = async (req, res) => {
   }
 };
 
-// Get items by filters
+// Range bound query parameter: a year, or a bottle size ("magnum", "150cl",
+// "1500"); undefined when absent, null when it cannot be read
+const parseBound = (value, name, parse, res) => {
+  if (value === undefined || value === "") return undefined;
+  
+  const bound = parse(value);
+  if (bound === null || isNaN(bound)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${name}: ${value}`,
+    });
+    return null;
+  }
+  return bound;
+};
+
+const parseYear = (value) => (/^\d{4}$/.test(String(value).trim()) ? parseInt(value) : null);
+
+const range = (from, to) => {
+  const condition = {};
+  if (from !== undefined) condition.$gte = from;
+  if (to !== undefined) condition.$lte = to;
+  return condition;
+};
+
+// Get items by filters. `vintage` takes a year, NV or MV; ranges use the
+// normalised fields, e.g. vintages 2010-2015 in magnum and larger:
+// ?vintageFrom=2010&vintageTo=2015&bottleFrom=magnum
 export const getItemsByFilter = async (req, res) => {
   try {
     const { 
       country, 
       vintage, 
       wineType, 
+      colour,
       region, 
       producer,
+      nonVintage,
+      multiVintage,
+      includeRemoved,
       page = 1,
       limit = 50 
     } = req.query;
     
-    const filter = {};
+    const vintageFrom = parseBound(req.query.vintageFrom, "vintageFrom", parseYear, res);
+    if (vintageFrom === null) return;
+    const vintageTo = parseBound(req.query.vintageTo, "vintageTo", parseYear, res);
+    if (vintageTo === null) return;
+    const bottleFrom = parseBound(req.query.bottleFrom, "bottleFrom", bottleVolumeMl, res);
+    if (bottleFrom === null) return;
+    const bottleTo = parseBound(req.query.bottleTo, "bottleTo", bottleVolumeMl, res);
+    if (bottleTo === null) return;
+    
+    if (colour && !WINE_COLOURS.includes(colour)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid colour: ${colour}. Expected one of: ${WINE_COLOURS.join(", ")}`,
+      });
+    }
     
-    if (country) filter["country.name"] = new RegExp(country, "i");
-    if (vintage) filter.vintage = vintage;
-    if (wineType) filter["wineType.name"] = new RegExp(wineType, "i");
-    if (region) filter["region.name"] = new RegExp(region, "i");
-    if (producer) filter["producer.name"] = new RegExp(producer, "i");
+    let filter = {};
+    
+    if (country) filter.country = new RegExp(country, "i");
+    if (vintage) {
+      const { vintageYear, vintageYears, nonVintage: isNonVintage, multiVintage: isMultiVintage } = normaliseVintage(vintage);
+      if (vintageYear) {
+        filter.vintageYear = vintageYear;
+      } else if (isNonVintage) {
+        filter.nonVintage = true;
+      } else if (isMultiVintage) {
+        filter.multiVintage = true;
+        if (vintageYears.length > 0) filter.vintageYears = { $all: vintageYears };
+      } else {
+        filter.vintage = vintage;
+      }
+    }
+    if (vintageFrom !== undefined || vintageTo !== undefined) filter.vintageYear = range(vintageFrom, vintageTo);
+    if (bottleFrom !== undefined || bottleTo !== undefined) filter.bottleVolumeMl = range(bottleFrom, bottleTo);
+    if (nonVintage !== undefined) filter.nonVintage = nonVintage === "true";
+    if (multiVintage !== undefined) filter.multiVintage = multiVintage === "true";
+    if (wineType) filter.type = new RegExp(wineType, "i");
+    if (colour) filter.wineColour = colour;
+    if (region) filter.region = new RegExp(region, "i");
+    if (producer) filter.producer = new RegExp(producer, "i");
+    filter = InventoryItem.activeFilter(filter, includeRemoved === "true");
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     const items = await InventoryItem
       .find(filter)
-      .sort({ vintage: -1 })
+      .sort({ vintageYear: -1, vintage: -1 })
       .skip(skip)
       .limit(parseInt(limit));
     
@@ -328,7 +296,7 @@ export const getItemsByFilter = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      filters: { country, vintage, wineType, region, producer },
+      filters: { country, vintage, vintageFrom, vintageTo, bottleFrom, bottleTo, nonVintage, multiVintage, wineType, colour, region, producer },
       data: {
         items,
         pagination: {
@@ -356,8 +324,8 @@ export const getStatistics = async (req, res) => {
     
     // Get top producers
     const topProducers = await InventoryItem.aggregate([
-      { $match: { "producer.name": { $exists: true, $ne: null } } },
-      { $group: { _id: "$producer.name", count: { $sum: 1 } } },
+      { $match: { producer: { $exists: true, $nin: [null, ""] } } },
+      { $group: { _id: "$producer", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
       { $project: { _id: 0, producer: "$_id", count: 1 } }
@@ -365,16 +333,16 @@ export const getStatistics = async (req, res) => {
     
     // Get items by wine type
     const byWineType = await InventoryItem.aggregate([
-      { $match: { "wineType.name": { $exists: true, $ne: null } } },
-      { $group: { _id: "$wineType.name", count: { $sum: 1 } } },
+      { $match: { type: { $exists: true, $nin: [null, ""] } } },
+      { $group: { _id: "$type", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $project: { _id: 0, type: "$_id", count: 1 } }
     ]);
     
     // Get items by country
     const byCountry = await InventoryItem.aggregate([
-      { $match: { "country.name": { $exists: true, $ne: null } } },
-      { $group: { _id: "$country.name", count: { $sum: 1 } } },
+      { $match: { country: { $exists: true, $nin: [null, ""] } } },
+      { $group: { _id: "$country", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
       { $project: { _id: 0, country: "$_id", count: 1 } }
@@ -402,7 +370,7 @@ export const getStatistics = async (req, res) => {
 // Search items by text
 export const searchItems = async (req, res) => {
   try {
-    const { q, page = 1, limit = 50 } = req.query;
+    const { q, page = 1, limit = 50, includeRemoved } = req.query;
     
     if (!q) {
       return res.status(400).json({
@@ -413,14 +381,14 @@ export const searchItems = async (req, res) => {
     
     const searchRegex = new RegExp(q, "i");
     
-    const filter = {
+    const filter = InventoryItem.activeFilter({
       $or: [
         { itemName: searchRegex },
         { omtisNameDetail: searchRegex },
-        { "producer.name": searchRegex },
+        { producer: searchRegex },
         { vintage: searchRegex },
       ]
-    };
+    }, includeRemoved === "true");
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
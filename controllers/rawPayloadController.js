@@ -0,0 +1,164 @@
+import RawPayload from "../models/RawPayload.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { diffPayloads } from "../utils/payloadDiff.js";
+
+// Raw payloads of inventory items; every item type is stored under this one
+const RECORD_TYPE = "inventoryItem";
+
+// Reject accounts that are not configured; an absent account is fine
+const validateAccount = (account, res) => {
+  if (account === undefined || hasAccount(account)) return true;
+  
+  res.status(400).json({
+    success: false,
+    message: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`,
+  });
+  return false;
+};
+
+// Optional version query parameter; undefined when absent, null when invalid
+const parseVersion = (value, name, res) => {
+  if (value === undefined) return undefined;
+  
+  const version = parseInt(value);
+  if (isNaN(version) || version < 1) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${name}: ${value}. Use a version number from /versions`,
+    });
+    return null;
+  }
+  return version;
+};
+
+// Item internal id path parameter; null (after a 400) when it is not a number
+const parseItemId = (value, res) => {
+  const id = parseInt(value);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid item id: ${value}. Use a NetSuite internal id`,
+    });
+    return null;
+  }
+  return id;
+};
+
+const notFound = (res, id, version) => res.status(404).json({
+  success: false,
+  message: version
+    ? `No raw payload version ${version} for item ${id}`
+    : `No raw payload for item ${id}`,
+});
+
+// Stored versions of an item's payload, newest first
+// GET /api/inventory/:id/raw/versions
+export const getVersions = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const internalId = parseItemId(req.params.id, res);
+    if (internalId === null) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const versions = await RawPayload.versions(account, RECORD_TYPE, internalId);
+    
+    res.status(200).json({
+      success: true,
+      account,
+      internalId,
+      data: versions,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching raw payload versions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch raw payload versions",
+      error: error.message,
+    });
+  }
+};
+
+// An item's payload as NetSuite sent it, latest unless ?version= is given
+// GET /api/inventory/:id/raw?version=3
+export const getPayload = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const internalId = parseItemId(req.params.id, res);
+    if (internalId === null) return;
+    const version = parseVersion(req.query.version, "version", res);
+    if (version === null) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const entry = await RawPayload.load(account, RECORD_TYPE, internalId, version ?? null);
+    if (!entry) return notFound(res, req.params.id, version);
+    
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching raw payload:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch raw payload",
+      error: error.message,
+    });
+  }
+};
+
+// What changed between two payload versions; by default the latest against
+// the newest one before it that retention has kept
+// GET /api/inventory/:id/raw/diff?from=2&to=4
+export const getPayloadDiff = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const internalId = parseItemId(req.params.id, res);
+    if (internalId === null) return;
+    const fromVersion = parseVersion(req.query.from, "from", res);
+    if (fromVersion === null) return;
+    const toVersion = parseVersion(req.query.to, "to", res);
+    if (toVersion === null) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    
+    const to = await RawPayload.load(account, RECORD_TYPE, internalId, toVersion ?? null);
+    if (!to) return notFound(res, req.params.id, toVersion);
+    
+    let baseVersion = fromVersion;
+    if (baseVersion === undefined) {
+      const versions = await RawPayload.versions(account, RECORD_TYPE, internalId);
+      baseVersion = versions.find(entry => entry.version < to.version)?.version;
+      if (baseVersion === undefined) {
+        return res.status(404).json({
+          success: false,
+          message: `Item ${req.params.id} has no raw payload version before ${to.version}; nothing to diff against`,
+        });
+      }
+    }
+
+    const from = await RawPayload.load(account, RECORD_TYPE, internalId, baseVersion);
+    if (!from) return notFound(res, req.params.id, baseVersion);
+    
+    const changes = diffPayloads(from.payload, to.payload);
+    
+    res.status(200).json({
+      success: true,
+      account,
+      internalId,
+      from: { version: from.version, syncedAt: from.syncedAt, hash: from.hash },
+      to: { version: to.version, syncedAt: to.syncedAt, hash: to.hash },
+      changeCount: changes.length,
+      data: changes,
+    });
+  } catch (error) {
+    console.error("❌ Error diffing raw payloads:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to diff raw payloads",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,178 @@
+import InventorySnapshot from "../models/InventorySnapshot.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { snapshotInventory } from "../scripts/snapshotInventory.js";
+
+// Reject accounts that are not configured; an absent account is fine
+const validateAccount = (account, res) => {
+  if (account === undefined || hasAccount(account)) return true;
+  
+  res.status(400).json({
+    success: false,
+    message: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`,
+  });
+  return false;
+};
+
+// Parse an optional date query parameter; undefined when absent, null when invalid
+const parseDate = (value, name, res) => {
+  if (value === undefined) return undefined;
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${name}: ${value}. Use an ISO date such as 2025-06-30`,
+    });
+    return null;
+  }
+  return date;
+};
+
+// Optional numeric id query parameter (?item=, ?location=); undefined when
+// absent, null when invalid
+const parseId = (value, name, res) => {
+  if (value === undefined) return undefined;
+  
+  const id = parseInt(value);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${name}: ${value}. Use a NetSuite internal id`,
+    });
+    return null;
+  }
+  return id;
+};
+
+// Days with a snapshot and how many items each holds
+// GET /api/snapshots?account=production
+export const getSnapshotDays = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const days = await InventorySnapshot.aggregate([
+      { $match: { account } },
+      {
+        $group: {
+          _id: "$snapshotDate",
+          items: { $sum: 1 },
+          totalQuantity: { $sum: "$totalQuantity" },
+          totalValue: { $sum: "$totalValue" },
+          takenAt: { $max: "$takenAt" }
+        }
+      },
+      { $sort: { _id: -1 } },
+      { $project: { _id: 0, date: "$_id", items: 1, totalQuantity: 1, totalValue: 1, takenAt: 1 } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      account,
+      data: days,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching snapshot days:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch snapshot days",
+      error: error.message,
+    });
+  }
+};
+
+// Stock as of a date, from the latest snapshot on or before it
+// GET /api/snapshots/stock?date=2025-06-30&location=1&item=11565
+export const getStockAsOf = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const date = parseDate(req.query.date, "date", res);
+    if (date === null) return;
+    
+    const internalId = parseId(req.query.item, "item", res);
+    if (internalId === null) return;
+    const locationId = parseId(req.query.location, "location", res);
+    if (locationId === null) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const { snapshotDate, items } = await InventorySnapshot.asOf(account, date || new Date(), { internalId, locationId });
+    
+    const lines = items.flatMap(item => item.locations);
+    
+    res.status(200).json({
+      success: true,
+      account,
+      asOf: (date || new Date()).toISOString(),
+      // Day the figures come from; null when there is no snapshot that early
+      snapshotDate,
+      summary: {
+        items: items.length,
+        quantityOnHand: lines.reduce((sum, loc) => sum + loc.quantityOnHand, 0),
+        quantityAvailable: lines.reduce((sum, loc) => sum + loc.quantityAvailable, 0),
+        // Item values cover every location, so none is given for one location
+        totalValue: locationId === undefined ? items.reduce((sum, item) => sum + item.totalValue, 0) : undefined
+      },
+      data: items,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching stock as of date:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch stock",
+      error: error.message,
+    });
+  }
+};
+
+// Quantity per snapshot day, for charting
+// GET /api/snapshots/history?from=2025-01-01&to=2025-06-30&item=11565&location=1
+export const getStockHistory = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const from = parseDate(req.query.from, "from", res);
+    if (from === null) return;
+    const to = parseDate(req.query.to, "to", res);
+    if (to === null) return;
+    const internalId = parseId(req.query.item, "item", res);
+    if (internalId === null) return;
+    const locationId = parseId(req.query.location, "location", res);
+    if (locationId === null) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const series = await InventorySnapshot.history(account, { from, to, internalId, locationId });
+    
+    res.status(200).json({
+      success: true,
+      account,
+      data: series,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching stock history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch stock history",
+      error: error.message,
+    });
+  }
+};
+
+// Take today's snapshot now
+// POST /api/snapshots { "account": "production" }
+export const takeSnapshot = async (req, res) => {
+  try {
+    if (!validateAccount(req.body.account, res)) return;
+    
+    const result = await snapshotInventory({ account: req.body.account || DEFAULT_ACCOUNT });
+    
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("❌ Error taking inventory snapshot:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to take inventory snapshot",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,133 @@
+import SyncState, { SYNC_RECORD_TYPES } from "../models/SyncState.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// Reject record types we don't keep a sync state for
+const validateRecordType = (recordType, res) => {
+  if (SYNC_RECORD_TYPES.includes(recordType)) return true;
+  
+  res.status(400).json({
+    success: false,
+    message: `Unknown record type "${recordType}". Expected one of: ${SYNC_RECORD_TYPES.join(", ")}`,
+  });
+  return false;
+};
+
+// Reject accounts that are not configured; an absent ?account= is fine
+const validateAccount = (account, res) => {
+  if (account === undefined || hasAccount(account)) return true;
+  
+  res.status(400).json({
+    success: false,
+    message: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`,
+  });
+  return false;
+};
+
+// Get the sync state of every record type (every account unless ?account= is given)
+export const getAllSyncStates = async (req, res) => {
+  try {
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const filter = req.query.account ? { account: req.query.account } : {};
+    const states = await SyncState.find(filter).sort({ account: 1, recordType: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: states,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching sync states:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sync states",
+      error: error.message,
+    });
+  }
+};
+
+// Get the sync state of one record type (default account unless ?account= is given)
+export const getSyncState = async (req, res) => {
+  try {
+    const { recordType } = req.params;
+    if (!validateRecordType(recordType, res)) return;
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const state = await SyncState.findOne({ account, recordType });
+    const nextStart = await SyncState.resolveStart(recordType, null, account);
+    
+    res.status(200).json({
+      success: true,
+      account,
+      data: state,
+      nextStart,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching sync state:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sync state",
+      error: error.message,
+    });
+  }
+};
+
+// Move the watermark to an explicit date
+// PUT /api/sync-state/:recordType/watermark?account=production { "watermark": "2025-01-01" }
+export const setWatermark = async (req, res) => {
+  try {
+    const { recordType } = req.params;
+    if (!validateRecordType(recordType, res)) return;
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    
+    const watermark = new Date(req.body.watermark);
+    if (!req.body.watermark || isNaN(watermark.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid 'watermark' date is required",
+      });
+    }
+    
+    const state = await SyncState.setWatermark(recordType, watermark, account);
+    
+    res.status(200).json({
+      success: true,
+      message: `Watermark for ${account}/${recordType} set to ${watermark.toISOString()}`,
+      data: state,
+    });
+  } catch (error) {
+    console.error("❌ Error setting watermark:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to set watermark",
+      error: error.message,
+    });
+  }
+};
+
+// Clear the watermark and any cursor so the next run starts from SYNC_DATE
+export const resetSyncState = async (req, res) => {
+  try {
+    const { recordType } = req.params;
+    if (!validateRecordType(recordType, res)) return;
+    if (!validateAccount(req.query.account, res)) return;
+    
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const state = await SyncState.reset(recordType, account);
+    
+    res.status(200).json({
+      success: true,
+      message: `Sync state for ${account}/${recordType} reset`,
+      data: state,
+    });
+  } catch (error) {
+    console.error("❌ Error resetting sync state:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset sync state",
+      error: error.message,
+    });
+  }
+};
@@ -1,8 +1,22 @@
 import express from "express";
 import dotenv from "dotenv";
 import { connectDB } from "./config/db.js";
+import { netsuiteConfig, getAccountConfig, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "./config/netsuite.js";
 import { syncInventory, testAuthentication } from "./scripts/syncInventory.js";
 import { syncSalesOrders } from "./scripts/syncSalesOrders.js";
+import { reconcileInventory } from "./scripts/reconcileInventory.js";
+import { syncExchangeRates } from "./scripts/syncExchangeRates.js";
+import { syncLocations } from "./scripts/syncLocations.js";
+import { resyncLocations } from "./scripts/resyncLocations.js";
+import { getRequestMetrics } from "./utils/netsuiteRequest.js";
+import { NetSuiteError, describeError } from "./utils/netsuiteErrors.js";
+import { itemTypeFilter, parseItemTypes } from "./utils/itemTypes.js";
+import { resolveReportingCurrency, convertExpression, convertItemPrices, unconvertedAccumulators } from "./utils/currency.js";
+import syncStateRoutes from "./routes/syncStateRoutes.js";
+import snapshotRoutes from "./routes/snapshotRoutes.js";
+import dataQualityRoutes from "./routes/dataQualityRoutes.js";
+import rawPayloadRoutes from "./routes/rawPayloadRoutes.js";
+import { getItemsByFilter } from "./controllers/inventoryController.js";
 
 // Load environment variables
 dotenv.config();
@@ -21,6 +35,37 @@ try {
 
 app.use(express.json());
 
+// Reject a request that names a NetSuite account which is not configured
+const rejectUnknownAccount = (res, account) => {
+  if (account === undefined || hasAccount(account)) return false;
+  
+  res.status(400).json({
+    success: false,
+    error: `Unknown NetSuite account "${account}"`,
+    accounts: listAccounts(),
+    timestamp: new Date().toISOString()
+  });
+  return true;
+};
+
+// Converter into the reporting currency (?currency=, default REPORTING_CURRENCY)
+// using the latest synced exchange rates. Answers 400 and returns null when
+// ?currency= is not a currency code.
+const reportingConverter = async (req, res) => {
+  const currency = resolveReportingCurrency(req.query.currency);
+  if (!currency) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid currency "${req.query.currency}". Use a three-letter code such as HKD`,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  
+  const ExchangeRate = (await import("./models/ExchangeRate.js")).default;
+  return ExchangeRate.converterFor(currency, { account: req.query.account });
+};
+
 // Health check endpoint
 app.get("/", (req, res) => {
   res.json({ 
@@ -34,18 +79,24 @@ app.get("/", (req, res) => {
 // Test authentication endpoint
 app.get("/api/test-auth", async (req, res) => {
   try {
-    const authResult = await testAuthentication();
+    if (rejectUnknownAccount(res, req.query.account)) return;
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const authResult = await testAuthentication(account);
     
-    if (authResult) {
+    if (authResult.success) {
       res.json({
         success: true,
         message: "Authentication successful",
+        account,
         timestamp: new Date().toISOString()
       });
     } else {
       res.status(401).json({
         success: false,
         message: "Authentication failed",
+        account,
+        code: authResult.error.code,
+        netsuiteError: describeError(authResult.error),
         timestamp: new Date().toISOString()
       });
     }
@@ -58,21 +109,51 @@ app.get("/api/test-auth", async (req, res) => {
   }
 });
 
+// List configured NetSuite accounts (no credentials)
+app.get("/api/accounts", (req, res) => {
+  const accounts = listAccounts().map(name => {
+    const config = getAccountConfig(name);
+    return {
+      name,
+      realm: config.realm,
+      baseUrl: config.baseUrl,
+      authMethod: config.authMethod,
+      isDefault: name === DEFAULT_ACCOUNT
+    };
+  });
+  
+  res.json({
+    success: true,
+    defaultAccount: DEFAULT_ACCOUNT,
+    accounts,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Trigger sync endpoint
 app.post("/api/sync", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.body.account)) return;
+    const account = req.body.account || DEFAULT_ACCOUNT;
     const limit = req.body.limit || 100;
-    const date = req.body.date || process.env.SYNC_DATE || "10/04/2024";
+    // Without an explicit date the sync starts from the saved watermark
+    const date = req.body.date || null;
+    const mode = req.body.mode || netsuiteConfig.syncMode;
+    // e.g. ["kitItem"] or "kitItem,assemblyItem"; all configured types by default
+    const itemTypes = req.body.itemTypes || netsuiteConfig.syncItemTypes;
+    // Refetch and rewrite items that have not changed since the last sync
+    const force = req.body.force === true;
     
-    console.log(`\n🔄 Manual sync triggered with limit: ${limit}, date: ${date}`);
+    console.log(`\n🔄 Manual sync triggered for ${account} with limit: ${limit}, date: ${date || "watermark"}, mode: ${mode}`);
     
     // Run sync and wait for result
-    const result = await syncInventory(limit, date);
+    const result = await syncInventory(limit, date, { mode, account, itemTypes, force });
     
     if (result.success) {
       res.json(result);
     } else {
-      res.status(500).json(result);
+      // 503 when the sync paused because NetSuite is unavailable
+      res.status(result.paused ? 503 : 500).json(result);
     }
   } catch (error) {
     console.error("Sync endpoint error:", error);
@@ -84,20 +165,34 @@ app.post("/api/sync", async (req, res) => {
   }
 });
 
-// Get all inventory items
+// Get all inventory items (every account unless ?account= is given), of every
+// item type unless ?itemType=kitItem (comma-separated) is given.
+// Items inactive or deleted in NetSuite are left out unless ?includeRemoved=true
 app.get("/api/inventory", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
     const InventoryItem = (await import("./models/InventoryItem.js")).default;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
+    const baseFilter = req.query.account ? { account: req.query.account } : {};
+    if (req.query.itemType) {
+      try {
+        baseFilter.itemType = itemTypeFilter(parseItemTypes(req.query.itemType));
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+    const filter = InventoryItem.activeFilter(baseFilter, req.query.includeRemoved === "true");
+    const converter = await reportingConverter(req, res);
+    if (!converter) return;
     
-    const items = await InventoryItem.find()
-      .sort({ internalId: 1 })
+    const items = await InventoryItem.find(filter)
+      .sort({ account: 1, internalId: 1 })
       .skip(skip)
       .limit(limit);
     
-    const total = await InventoryItem.countDocuments();
+    const total = await InventoryItem.countDocuments(filter);
     
     res.json({
       success: true,
@@ -105,7 +200,10 @@ app.get("/api/inventory", async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      items,
+      currency: converter.currency,
+      // Prices in the reporting currency are under `reporting`
+      items: items.map(item => ({ ...item.toJSON(), reporting: convertItemPrices(item, converter) })),
+      unconvertedCurrencies: [...converter.missing],
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -118,24 +216,91 @@ app.get("/api/inventory", async (req, res) => {
   }
 });
 
-// Get inventory item by ID
+// Filter items by attributes and by normalised vintage/bottle volume ranges,
+// e.g. ?vintageFrom=2010&vintageTo=2015&bottleFrom=magnum (before /:id)
+app.get("/api/inventory/filter", getItemsByFilter);
+
+// Raw NetSuite payloads of an item: latest or given version, versions, diff
+app.use("/api/inventory/:id/raw", rawPayloadRoutes);
+
+// Get the lots of a lot-numbered item grouped by location (default account
+// unless ?account= is given; one location with ?location=)
+app.get("/api/inventory/:id/lots", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
+    const InventoryItem = (await import("./models/InventoryItem.js")).default;
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const item = await InventoryItem.findOne({ account, internalId: req.params.id });
+    
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Item not found",
+        id: req.params.id,
+        account,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!item.lotsByLocation) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Item ${item.internalId} is a ${item.itemType}; only lot-numbered items have lots`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const locations = item.lotsByLocation()
+      .filter(entry => !req.query.location || entry.locationId === parseInt(req.query.location));
+    
+    res.json({
+      success: true,
+      internalId: item.internalId,
+      itemName: item.itemName,
+      lotsSyncedAt: item.lotsSyncedAt,
+      totals: {
+        lots: locations.reduce((sum, entry) => sum + entry.lots.length, 0),
+        quantityOnHand: locations.reduce((sum, entry) => sum + entry.quantityOnHand, 0),
+        quantityAvailable: locations.reduce((sum, entry) => sum + entry.quantityAvailable, 0)
+      },
+      locations,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error fetching item lots:", error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get inventory item by ID (default account unless ?account= is given)
 app.get("/api/inventory/:id", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
     const InventoryItem = (await import("./models/InventoryItem.js")).default;
-    const item = await InventoryItem.findOne({ internalId: req.params.id });
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    const converter = await reportingConverter(req, res);
+    if (!converter) return;
+    const item = await InventoryItem.findOne({ account, internalId: req.params.id });
     
     if (!item) {
       return res.status(404).json({ 
         success: false,
         error: "Item not found",
         id: req.params.id,
+        account,
         timestamp: new Date().toISOString()
       });
     }
     
     res.json({
       success: true,
-      item,
+      item: { ...item.toJSON(), reporting: convertItemPrices(item, converter) },
+      // Lot-numbered items: stock per location broken down by lot
+      stockByLot: item.lotsByLocation ? item.lotsByLocation() : undefined,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -164,6 +329,9 @@ app.get("/api/status", async (req, res) => {
       firstSync: oldestItem?.lastSynced || "Never",
       environment: process.env.NODE_ENV || 'development',
       syncDate: process.env.SYNC_DATE,
+      accounts: listAccounts(),
+      defaultAccount: DEFAULT_ACCOUNT,
+      netsuite: getRequestMetrics(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -176,9 +344,11 @@ app.get("/api/status", async (req, res) => {
   }
 });
 
-// Clear all data (for testing)
+// Clear all data (for testing); ?account= limits it to one account
 app.delete("/api/inventory", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
+    
     if (process.env.NODE_ENV === 'production') {
       return res.status(403).json({
         success: false,
@@ -188,7 +358,7 @@ app.delete("/api/inventory", async (req, res) => {
     }
     
     const InventoryItem = (await import("./models/InventoryItem.js")).default;
-    const result = await InventoryItem.deleteMany({});
+    const result = await InventoryItem.deleteMany(req.query.account ? { account: req.query.account } : {});
     
     res.json({
       success: true,
@@ -206,20 +376,161 @@ app.delete("/api/inventory", async (req, res) => {
   }
 });
 
+// Flag items deleted or inactivated in NetSuite
+// Body: { account, mode: "rest" | "suiteql", dryRun, force, itemTypes }
+app.post("/api/sync/reconcile", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.body.account)) return;
+    const account = req.body.account || DEFAULT_ACCOUNT;
+    
+    console.log(`\n🔍 Inventory reconciliation triggered for ${account}`);
+    
+    const result = await reconcileInventory({
+      account,
+      mode: req.body.mode,
+      dryRun: Boolean(req.body.dryRun),
+      force: Boolean(req.body.force),
+      itemTypes: req.body.itemTypes
+    });
+    
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sync NetSuite locations and their addresses
+// Body: { account }
+app.post("/api/sync/locations", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.body.account)) return;
+    const account = req.body.account || DEFAULT_ACCOUNT;
+    
+    const result = await syncLocations({ account });
+    
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Re-fetch the locations of items a sync left incomplete
+app.post("/api/sync/item-locations", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.body.account)) return;
+    const account = req.body.account || DEFAULT_ACCOUNT;
+    const limit = parseInt(req.body.limit) || 100;
+    
+    const result = await resyncLocations({ account, limit });
+    
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get locations (every account unless ?account= is given); inactive ones
+// only with ?includeInactive=true
+app.get("/api/locations", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
+    const Location = (await import("./models/Location.js")).default;
+    
+    const filter = {};
+    if (req.query.account) filter.account = req.query.account;
+    if (req.query.includeInactive !== "true") filter.isInactive = { $ne: true };
+    
+    const locations = await Location.find(filter).sort({ account: 1, name: 1 });
+    
+    res.json({
+      success: true,
+      count: locations.length,
+      locations,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sync NetSuite currency exchange rates
+// Body: { account, since: "YYYY-MM-DD" }
+app.post("/api/sync/exchange-rates", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.body.account)) return;
+    const account = req.body.account || DEFAULT_ACCOUNT;
+    
+    const result = await syncExchangeRates({ account, since: req.body.since || null });
+    
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Latest exchange rates and the factors into the reporting currency
+app.get("/api/exchange-rates", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
+    const ExchangeRate = (await import("./models/ExchangeRate.js")).default;
+    const converter = await reportingConverter(req, res);
+    if (!converter) return;
+    
+    res.json({
+      success: true,
+      currency: converter.currency,
+      rates: await ExchangeRate.latestRates({ account: req.query.account }),
+      factors: converter.factors,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Sales Orders Sync endpoint
 app.post("/api/sync/sales-orders", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.body.account)) return;
+    const account = req.body.account || DEFAULT_ACCOUNT;
     const limit = req.body.limit || 10;
-    const date = req.body.date || process.env.SYNC_DATE || "10/04/2024";
+    // Without an explicit date the sync starts from the saved watermark
+    const date = req.body.date || null;
+    const mode = req.body.mode || netsuiteConfig.salesOrderSyncMode;
     
-    console.log(`🔄 Sales orders sync: limit=${limit}, date=${date}`);
+    console.log(`🔄 Sales orders sync: account=${account}, limit=${limit}, date=${date || "watermark"}, mode=${mode}`);
     
-    const result = await syncSalesOrders(limit, date);
+    const result = await syncSalesOrders(limit, date, { mode, account });
     
     if (result.success) {
       res.json(result);
     } else {
-      res.status(500).json(result);
+      // 503 when the sync paused because NetSuite is unavailable
+      res.status(result.paused ? 503 : 500).json(result);
     }
   } catch (error) {
     res.status(500).json({ 
@@ -229,9 +540,10 @@ app.post("/api/sync/sales-orders", async (req, res) => {
   }
 });
 
-// Get sales orders
+// Get sales orders (every account unless ?account= is given)
 app.get("/api/sales-orders", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
     const SalesOrder = (await import("./models/SalesOrder.js")).default;
     
     const page = parseInt(req.query.page) || 1;
@@ -240,11 +552,16 @@ app.get("/api/sales-orders", async (req, res) => {
     
     // Build filter
     const filter = {};
+    if (req.query.account) filter.account = req.query.account;
     if (req.query.customer) filter['customer.customerName'] = new RegExp(req.query.customer, 'i');
     if (req.query.status) filter.orderStatus = req.query.status;
     if (req.query.fromDate) filter.orderDate = { $gte: new Date(req.query.fromDate) };
     if (req.query.toDate) filter.orderDate = { ...filter.orderDate, $lte: new Date(req.query.toDate) };
     
+    const converter = await reportingConverter(req, res);
+    if (!converter) return;
+    const amount = convertExpression("$totalAmount", "$currency.name", converter.factors);
+    
     const [orders, total] = await Promise.all([
       SalesOrder.find(filter)
         .sort({ orderDate: -1 })
@@ -253,10 +570,18 @@ app.get("/api/sales-orders", async (req, res) => {
       SalesOrder.countDocuments(filter)
     ]);
     
-    // Get totals
+    // Get totals in the reporting currency
     const totals = await SalesOrder.aggregate([
       { $match: filter },
-      { $group: { _id: null, totalAmount: { $sum: "$totalAmount" }, count: { $sum: 1 } } }
+      {
+        $group: {
+          _id: null,
+          totalAmount: { $sum: amount },
+          count: { $sum: 1 },
+          ...unconvertedAccumulators(amount, "$currency.name")
+        }
+      },
+      { $project: { _id: 0 } }
     ]);
     
     res.json({
@@ -268,33 +593,8 @@ app.get("/api/sales-orders", async (req, res) => {
         total,
         pages: Math.ceil(total / limit)
       },
-      totals: totals[0] || { totalAmount: 0, count: 0 }
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Get sales order by ID
-app.get("/api/sales-orders/:id", async (req, res) => {
-  try {
-    const SalesOrder = (await import("./models/SalesOrder.js")).default;
-    
-    const order = await SalesOrder.findOne({ internalId: parseInt(req.params.id) });
-    
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: "Sales order not found"
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: order
+      currency: converter.currency,
+      totals: totals[0] || { totalAmount: 0, count: 0, unconvertedCount: 0, unconvertedCurrencies: [] }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -307,34 +607,45 @@ app.get("/api/sales-orders/:id", async (req, res) => {
 // Get sales order statistics
 app.get("/api/sales-orders/stats", async (req, res) => {
   try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
     const SalesOrder = (await import("./models/SalesOrder.js")).default;
     
     // Date range
     const fromDate = req.query.fromDate ? new Date(req.query.fromDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Last 30 days
     const toDate = req.query.toDate ? new Date(req.query.toDate) : new Date();
+    const match = { orderDate: { $gte: fromDate, $lte: toDate } };
+    if (req.query.account) match.account = req.query.account;
+    
+    // Amounts are converted into the reporting currency; orders without a
+    // rate for their currency are counted in unconvertedCount
+    const converter = await reportingConverter(req, res);
+    if (!converter) return;
+    const amount = convertExpression("$totalAmount", "$currency.name", converter.factors);
     
     // Overall stats
     const overall = await SalesOrder.aggregate([
-      { $match: { orderDate: { $gte: fromDate, $lte: toDate } } },
+      { $match: match },
       { 
         $group: {
           _id: null,
           totalOrders: { $sum: 1 },
-          totalAmount: { $sum: "$totalAmount" },
-          avgOrderValue: { $avg: "$totalAmount" },
-          totalItems: { $sum: { $size: "$items" } }
+          totalAmount: { $sum: amount },
+          avgOrderValue: { $avg: amount },
+          totalItems: { $sum: { $size: "$items" } },
+          ...unconvertedAccumulators(amount, "$currency.name")
         }
-      }
+      },
+      { $project: { _id: 0 } }
     ]);
     
     // By status
     const byStatus = await SalesOrder.aggregate([
-      { $match: { orderDate: { $gte: fromDate, $lte: toDate } } },
+      { $match: match },
       { 
         $group: {
           _id: "$orderStatus",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$totalAmount" }
+          totalAmount: { $sum: amount }
         }
       },
       { $sort: { totalAmount: -1 } }
@@ -342,12 +653,12 @@ app.get("/api/sales-orders/stats", async (req, res) => {
     
     // By customer
     const byCustomer = await SalesOrder.aggregate([
-      { $match: { orderDate: { $gte: fromDate, $lte: toDate } } },
+      { $match: match },
       { 
         $group: {
           _id: "$customer.customerName",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$totalAmount" }
+          totalAmount: { $sum: amount }
         }
       },
       { $sort: { totalAmount: -1 } },
@@ -357,7 +668,8 @@ app.get("/api/sales-orders/stats", async (req, res) => {
     res.json({
       success: true,
       dateRange: { fromDate, toDate },
-      overall: overall[0] || { totalOrders: 0, totalAmount: 0, avgOrderValue: 0, totalItems: 0 },
+      currency: converter.currency,
+      overall: overall[0] || { totalOrders: 0, totalAmount: 0, avgOrderValue: 0, totalItems: 0, unconvertedCount: 0, unconvertedCurrencies: [] },
       byStatus,
       byCustomer
     });
@@ -369,6 +681,43 @@ app.get("/api/sales-orders/stats", async (req, res) => {
   }
 });
 
+// Get sales order by ID (default account unless ?account= is given)
+app.get("/api/sales-orders/:id", async (req, res) => {
+  try {
+    if (rejectUnknownAccount(res, req.query.account)) return;
+    const SalesOrder = (await import("./models/SalesOrder.js")).default;
+    const account = req.query.account || DEFAULT_ACCOUNT;
+    
+    const order = await SalesOrder.findOne({ account, internalId: parseInt(req.params.id) });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Sales order not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Sync watermarks and cursors
+app.use("/api/sync-state", syncStateRoutes);
+
+// Inventory snapshots: stock as of a date and over time
+app.use("/api/snapshots", snapshotRoutes);
+
+// Data-quality audit of synced items and its trend
+app.use("/api/data-quality", dataQualityRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error("Server error:", err);
@@ -376,6 +725,7 @@ app.use((err, req, res, next) => {
     success: false,
     error: "Internal server error",
     message: err.message,
+    code: err instanceof NetSuiteError ? err.code : undefined,
     timestamp: new Date().toISOString()
   });
 });
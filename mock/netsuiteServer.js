@@ -0,0 +1,464 @@
+// mock/netsuiteServer.js
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// =========================
+// Mock NetSuite REST Server
+// =========================
+// Serves the record endpoints the sync scripts use from JSON fixtures so the
+// app can be developed and exercised without a NetSuite sandbox:
+//
+//   npm run mock:netsuite
+//   NETSUITE_BASE_URL=http://localhost:4010/services/rest/record/v1 \
+//   NETSUITE_AUTH_METHOD=none npm run sync
+//
+// Responses follow NetSuite's shapes: paged collections with links, sublists
+// (price, locations, member, item) returned as links or inlined with
+// `expandSubResources=true`, `q=lastModifiedDate AFTER "..."` filters, and
+// `o:errorDetails` error bodies. Behaviour is configured with
+// MOCK_NETSUITE_* environment variables or at runtime via PUT /__mock/settings:
+//   latencyMs       delay added to every response
+//   rateLimitEvery  answer every Nth request with a 429 (0 = off)
+//   maxConcurrent   429 CONCURRENCY_LIMIT_EXCEEDED above this many in-flight requests (0 = off)
+//   maxPageSize     largest `limit` honoured on collections
+//   dateFormat      format of dates in `q` filters (as NETSUITE_DATE_FORMAT)
+
+const RECORD_PATH = "/services/rest/record/v1";
+
+// Item record types served from the inventoryItems fixture; a fixture item's
+// `recordType` says which one it is (inventoryitem when absent)
+const ITEM_RECORD_TYPES = ["inventoryitem", "lotnumberedinventoryitem", "kititem", "assemblyitem", "noninventoryresaleitem"];
+const ITEM_ROUTE = `/:recordType(${ITEM_RECORD_TYPES.join("|")})`;
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const DEFAULT_SETTINGS = {
+  port: parseInt(process.env.MOCK_NETSUITE_PORT) || 4010,
+  latencyMs: parseInt(process.env.MOCK_NETSUITE_LATENCY_MS) || 0,
+  rateLimitEvery: parseInt(process.env.MOCK_NETSUITE_RATE_LIMIT_EVERY) || 0,
+  maxConcurrent: parseInt(process.env.MOCK_NETSUITE_MAX_CONCURRENT) || 0,
+  maxPageSize: parseInt(process.env.MOCK_NETSUITE_MAX_PAGE_SIZE) || 1000,
+  dateFormat: process.env.MOCK_NETSUITE_DATE_FORMAT || process.env.NETSUITE_DATE_FORMAT || "DD/MM/YYYY",
+  fixturesDir: process.env.MOCK_NETSUITE_FIXTURES_DIR || FIXTURES_DIR
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadFixture = (dir, name) =>
+  JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8"));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// NetSuite error body
+const errorBody = (status, title, detail, errorCode, extra = {}) => ({
+  type: "https://www.rfc-editor.org/rfc/rfc9110.html",
+  title,
+  status,
+  "o:errorDetails": [{ detail, "o:errorCode": errorCode, ...extra }]
+});
+
+const sendError = (res, status, title, detail, errorCode, extra) =>
+  res.status(status).json(errorBody(status, title, detail, errorCode, extra));
+
+const notFound = (res, detail) =>
+  sendError(res, 404, "Record Not Found", detail, "NONEXISTENT_ID", { "o:errorPath": "id" });
+
+// Parse a date written in the configured NetSuite format into UTC midnight
+function parseFilterDate(value, dateFormat) {
+  const tokens = dateFormat.match(/YYYY|MM|DD/g);
+  const numbers = value.match(/\d+/g);
+  if (!tokens || !numbers || numbers.length < tokens.length) return null;
+
+  const parts = Object.fromEntries(tokens.map((token, i) => [token, parseInt(numbers[i])]));
+  const time = Date.UTC(parts.YYYY, parts.MM - 1, parts.DD);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Support the date (lastModifiedDate, effectiveDate) and isInactive filters the
+// scripts send. Returns a predicate, or null when the query cannot be parsed.
+const FILTER_PATTERN = /^\s*(lastModifiedDate|effectiveDate)\s+(AFTER|ON_OR_AFTER|BEFORE|ON_OR_BEFORE|ON)\s+"([^"]+)"\s*$/i;
+
+const INACTIVE_FILTER_PATTERN = /^\s*isInactive\s+IS\s+(true|false)\s*$/i;
+
+function parseQuery(q, dateFormat) {
+  if (!q) return () => true;
+
+  const inactive = q.match(INACTIVE_FILTER_PATTERN);
+  if (inactive) {
+    const wanted = inactive[1].toLowerCase() === "true";
+    return (record) => Boolean(record.isInactive) === wanted;
+  }
+
+  const match = q.match(FILTER_PATTERN);
+  if (!match) return null;
+
+  const [, field, operator, value] = match;
+  const day = parseFilterDate(value, dateFormat);
+  if (day === null) return null;
+
+  const compare = {
+    AFTER: (t) => t >= day + DAY_MS,
+    ON_OR_AFTER: (t) => t >= day,
+    BEFORE: (t) => t < day,
+    ON_OR_BEFORE: (t) => t < day + DAY_MS,
+    ON: (t) => t >= day && t < day + DAY_MS
+  }[operator.toUpperCase()];
+
+  // Field names in `q` are case-insensitive
+  const property = field.toLowerCase() === "effectivedate" ? "effectiveDate" : "lastModifiedDate";
+  return (record) => compare(new Date(record[property]).getTime());
+}
+
+// Build a mock server app. Settings default to the MOCK_NETSUITE_* variables.
+export function createMockNetSuiteApp(options = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...options };
+  const fixtures = {
+    inventoryItems: loadFixture(settings.fixturesDir, "inventoryItems"),
+    salesOrders: loadFixture(settings.fixturesDir, "salesOrders"),
+    locations: loadFixture(settings.fixturesDir, "locations"),
+    currencyRates: loadFixture(settings.fixturesDir, "currencyRates")
+  };
+
+  const stats = { requests: 0, rateLimited: 0, byPath: {} };
+  let inFlight = 0;
+
+  const app = express();
+
+  const baseUrl = (req) => `${req.protocol}://${req.get("host")}${RECORD_PATH}`;
+  const selfLink = (href) => [{ rel: "self", href }];
+
+  // Page of a collection or sublist with NetSuite's paging fields
+  const collectionPage = (href, records, toItem, { limit = settings.maxPageSize, offset = 0 } = {}) => {
+    const page = records.slice(offset, offset + Math.min(limit, settings.maxPageSize));
+
+    return {
+      links: selfLink(href),
+      count: page.length,
+      hasMore: offset + page.length < records.length,
+      items: page.map(toItem),
+      offset,
+      totalResults: records.length
+    };
+  };
+
+  const collection = (req, res, records, toItem) => {
+    res.json(collectionPage(`${baseUrl(req)}${req.path}`, records, toItem, {
+      limit: parseInt(req.query.limit) || settings.maxPageSize,
+      offset: parseInt(req.query.offset) || 0
+    }));
+  };
+
+  // `expandSubResources=true` inlines sublists instead of linking to them
+  const sublist = (req, href, records, toLine) =>
+    req.query.expandSubResources === "true"
+      ? collectionPage(href, records, toLine)
+      : { links: selfLink(href) };
+
+  // ---- Mock control endpoints ----
+  app.get("/__mock/settings", (req, res) => {
+    res.json(settings);
+  });
+
+  app.put("/__mock/settings", express.json(), (req, res) => {
+    for (const key of ["latencyMs", "rateLimitEvery", "maxConcurrent", "maxPageSize"]) {
+      if (req.body[key] !== undefined) settings[key] = parseInt(req.body[key]) || 0;
+    }
+    if (req.body.dateFormat) settings.dateFormat = req.body.dateFormat;
+    res.json(settings);
+  });
+
+  app.get("/__mock/stats", (req, res) => {
+    res.json({ ...stats, inFlight });
+  });
+
+  app.post("/__mock/reset", (req, res) => {
+    Object.assign(stats, { requests: 0, rateLimited: 0, byPath: {} });
+    res.json({ success: true });
+  });
+
+  // ---- Latency and throttling simulation ----
+  app.use(RECORD_PATH, async (req, res, next) => {
+    stats.requests++;
+    stats.byPath[req.path] = (stats.byPath[req.path] || 0) + 1;
+    inFlight++;
+    res.on("finish", () => inFlight--);
+
+    const overConcurrency = settings.maxConcurrent > 0 && inFlight > settings.maxConcurrent;
+    const everyNth = settings.rateLimitEvery > 0 && stats.requests % settings.rateLimitEvery === 0;
+
+    if (settings.latencyMs > 0) await sleep(settings.latencyMs);
+
+    if (overConcurrency || everyNth) {
+      stats.rateLimited++;
+      return sendError(
+        res,
+        429,
+        "Too Many Requests",
+        "The request could not be processed because the number of concurrent requests exceeds the limit.",
+        "CONCURRENCY_LIMIT_EXCEEDED"
+      );
+    }
+    next();
+  });
+
+  const router = express.Router();
+
+  // ---- Items (every item record type) ----
+  const recordTypeOf = (item) => item.recordType || "inventoryitem";
+  const itemHref = (req, item) => `${baseUrl(req)}/${recordTypeOf(item)}/${item.id}`;
+  const findItem = (req) => fixtures.inventoryItems.find(item =>
+    item.id === req.params.id && recordTypeOf(item) === req.params.recordType.toLowerCase());
+
+  router.get(ITEM_ROUTE, (req, res) => {
+    const matches = parseQuery(req.query.q, settings.dateFormat);
+    if (!matches) {
+      return sendError(res, 400, "Bad Request", `Invalid search query: ${req.query.q}`, "INVALID_PARAMETER", { "o:errorQueryParam": "q" });
+    }
+    const records = fixtures.inventoryItems
+      .filter(item => recordTypeOf(item) === req.params.recordType.toLowerCase())
+      .filter(matches);
+    collection(req, res, records, (item) => ({
+      links: selfLink(itemHref(req, item)),
+      id: item.id
+    }));
+  });
+
+  // Price sublist lines are keyed like NetSuite's: quantity, currency page and
+  // price level. Fixture lines may set their own quantity tier and currency.
+  const priceKey = (price) =>
+    `quantity=${price.quantity?.value ?? 0},currencypage=${price.currencyPage?.id ?? 1},pricelevel=${price.priceLevel.id}`;
+
+  const priceLine = (req, item, price) => ({
+    links: selfLink(`${itemHref(req, item)}/price/${priceKey(price)}`),
+    currencyPage: { id: "1", refName: item.currency?.refName },
+    quantity: { value: "0" },
+    ...price
+  });
+
+  const locationLine = (req, item, entry) => {
+    const location = fixtures.locations.find(loc => loc.id === String(entry.locationId));
+    return {
+      links: selfLink(`${itemHref(req, item)}/locations/${entry.locationId}`),
+      ...entry,
+      location: {
+        links: selfLink(`${baseUrl(req)}/location/${entry.locationId}`),
+        id: String(entry.locationId),
+        refName: location?.name || ""
+      },
+      location_display: location?.name || ""
+    };
+  };
+
+  // Kit and assembly member lines, keyed by line number
+  const memberLine = (req, item, entry) => ({
+    links: selfLink(`${itemHref(req, item)}/member/${entry.line}`),
+    ...entry,
+    item: { links: selfLink(`${baseUrl(req)}/inventoryitem/${entry.item.id}`), ...entry.item }
+  });
+
+  router.get(`${ITEM_ROUTE}/:id`, (req, res) => {
+    const item = findItem(req);
+    if (!item) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    const { price, locations, member, recordType, ...fields } = item;
+    const href = itemHref(req, item);
+    res.json({
+      links: selfLink(href),
+      ...fields,
+      price: sublist(req, `${href}/price`, price || [], (entry) => priceLine(req, item, entry)),
+      // Only record types that hold stock or members have these sublists
+      ...(locations ? { locations: sublist(req, `${href}/locations`, locations, (entry) => locationLine(req, item, entry)) } : {}),
+      ...(member ? { member: sublist(req, `${href}/member`, member, (entry) => memberLine(req, item, entry)) } : {})
+    });
+  });
+
+  router.get(`${ITEM_ROUTE}/:id/price`, (req, res) => {
+    const item = findItem(req);
+    if (!item) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    collection(req, res, item.price || [], (price) => ({
+      links: selfLink(`${itemHref(req, item)}/price/${priceKey(price)}`)
+    }));
+  });
+
+  router.get(`${ITEM_ROUTE}/:id/price/:key`, (req, res) => {
+    const item = findItem(req);
+    const price = item?.price?.find(entry => priceKey(entry) === req.params.key);
+    if (!price) return notFound(res, `The sublist line does not exist.`);
+
+    res.json(priceLine(req, item, price));
+  });
+
+  router.get(`${ITEM_ROUTE}/:id/locations`, (req, res) => {
+    const item = findItem(req);
+    if (!item) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    collection(req, res, item.locations || [], (location) => ({
+      links: selfLink(`${itemHref(req, item)}/locations/${location.locationId}`)
+    }));
+  });
+
+  router.get(`${ITEM_ROUTE}/:id/locations/:locationId`, (req, res) => {
+    const item = findItem(req);
+    const entry = item?.locations?.find(location => String(location.locationId) === req.params.locationId);
+    if (!entry) return notFound(res, `The sublist line does not exist.`);
+
+    res.json(locationLine(req, item, entry));
+  });
+
+  router.get(`${ITEM_ROUTE}/:id/member`, (req, res) => {
+    const item = findItem(req);
+    if (!item) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    collection(req, res, item.member || [], (entry) => ({
+      links: selfLink(`${itemHref(req, item)}/member/${entry.line}`)
+    }));
+  });
+
+  router.get(`${ITEM_ROUTE}/:id/member/:line`, (req, res) => {
+    const item = findItem(req);
+    const entry = item?.member?.find(member => String(member.line) === req.params.line);
+    if (!entry) return notFound(res, `The sublist line does not exist.`);
+
+    res.json(memberLine(req, item, entry));
+  });
+
+  // ---- Locations ----
+  router.get("/location", (req, res) => {
+    const matches = parseQuery(req.query.q, settings.dateFormat);
+    if (!matches) {
+      return sendError(res, 400, "Bad Request", `Invalid search query: ${req.query.q}`, "INVALID_PARAMETER", { "o:errorQueryParam": "q" });
+    }
+    collection(req, res, fixtures.locations.filter(matches), (location) => ({
+      links: selfLink(`${baseUrl(req)}/location/${location.id}`),
+      id: location.id
+    }));
+  });
+
+  // `expandSubResources=true` also inlines the mainAddress subrecord
+  router.get("/location/:id", (req, res) => {
+    const location = fixtures.locations.find(loc => loc.id === req.params.id);
+    if (!location) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    const { mainAddress, ...fields } = location;
+    const href = `${baseUrl(req)}/location/${location.id}`;
+    const addressLinks = selfLink(`${href}/mainAddress`);
+    res.json({
+      links: selfLink(href),
+      ...fields,
+      mainAddress: req.query.expandSubResources === "true"
+        ? { links: addressLinks, ...mainAddress }
+        : { links: addressLinks }
+    });
+  });
+
+  router.get("/location/:id/mainAddress", (req, res) => {
+    const location = fixtures.locations.find(loc => loc.id === req.params.id);
+    if (!location) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    res.json({ links: selfLink(`${baseUrl(req)}/location/${location.id}/mainAddress`), ...location.mainAddress });
+  });
+
+  // ---- Sales orders ----
+  const findOrder = (id) => fixtures.salesOrders.find(order => order.id === id);
+
+  const orderLine = (req, order, line) => ({
+    links: selfLink(`${baseUrl(req)}/salesorder/${order.id}/item/${line.line}`),
+    ...line,
+    item: { links: selfLink(itemHref(req, fixtures.inventoryItems.find(item => item.id === line.item.id) || line.item)), ...line.item }
+  });
+
+  router.get("/salesorder", (req, res) => {
+    const matches = parseQuery(req.query.q, settings.dateFormat);
+    if (!matches) {
+      return sendError(res, 400, "Bad Request", `Invalid search query: ${req.query.q}`, "INVALID_PARAMETER", { "o:errorQueryParam": "q" });
+    }
+    const records = fixtures.salesOrders.filter(matches);
+    collection(req, res, records, (order) => ({
+      links: selfLink(`${baseUrl(req)}/salesorder/${order.id}`),
+      id: order.id
+    }));
+  });
+
+  router.get("/salesorder/:id", (req, res) => {
+    const order = findOrder(req.params.id);
+    if (!order) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    const { item, ...fields } = order;
+    const href = `${baseUrl(req)}/salesorder/${order.id}`;
+    res.json({
+      links: selfLink(href),
+      ...fields,
+      item: sublist(req, `${href}/item`, item || [], (line) => orderLine(req, order, line))
+    });
+  });
+
+  router.get("/salesorder/:id/item", (req, res) => {
+    const order = findOrder(req.params.id);
+    if (!order) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    collection(req, res, order.item || [], (line) => ({
+      links: selfLink(`${baseUrl(req)}/salesorder/${order.id}/item/${line.line}`)
+    }));
+  });
+
+  router.get("/salesorder/:id/item/:line", (req, res) => {
+    const order = findOrder(req.params.id);
+    const line = order?.item?.find(entry => String(entry.line) === req.params.line);
+    if (!line) return notFound(res, `The sublist line does not exist.`);
+
+    res.json(orderLine(req, order, line));
+  });
+
+  // ---- Currency exchange rates ----
+  router.get("/currencyrate", (req, res) => {
+    const matches = parseQuery(req.query.q, settings.dateFormat);
+    if (!matches) {
+      return sendError(res, 400, "Bad Request", `Invalid search query: ${req.query.q}`, "INVALID_PARAMETER", { "o:errorQueryParam": "q" });
+    }
+    const records = fixtures.currencyRates.filter(matches);
+    collection(req, res, records, (rate) => ({
+      links: selfLink(`${baseUrl(req)}/currencyrate/${rate.id}`),
+      id: rate.id
+    }));
+  });
+
+  router.get("/currencyrate/:id", (req, res) => {
+    const rate = fixtures.currencyRates.find(entry => entry.id === req.params.id);
+    if (!rate) return notFound(res, `The record instance does not exist. Provide a valid record instance ID.`);
+
+    res.json({ links: selfLink(`${baseUrl(req)}/currencyrate/${rate.id}`), ...rate });
+  });
+
+  app.use(RECORD_PATH, router);
+
+  // Anything else is a record type or path the mock does not know
+  app.use((req, res) => {
+    sendError(res, 404, "Not Found", `The mock NetSuite server has no route for ${req.method} ${req.path}`, "INVALID_URL");
+  });
+
+  app.locals.settings = settings;
+  app.locals.stats = stats;
+  return app;
+}
+
+// Start the mock server; resolves with the http.Server once listening
+export function startMockNetSuiteServer(options = {}) {
+  const app = createMockNetSuiteApp(options);
+  const { settings } = app.locals;
+
+  return new Promise((resolve) => {
+    const server = app.listen(settings.port, () => {
+      console.log(`🧪 Mock NetSuite server running on http://localhost:${server.address().port}${RECORD_PATH}`);
+      console.log(`📁 Fixtures: ${settings.fixturesDir}`);
+      console.log(`⚙️  Latency ${settings.latencyMs} ms, 429 every ${settings.rateLimitEvery || "-"} requests, max concurrent ${settings.maxConcurrent || "-"}, page size ${settings.maxPageSize}`);
+      resolve(server);
+    });
+  });
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  startMockNetSuiteServer();
+}
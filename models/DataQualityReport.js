@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// Outcome of one data-quality audit of an account (scripts/auditDataQuality.js).
+// Only the totals are kept, one document per run, to follow the cleanup over
+// time; the failing items are reported by the audit itself.
+const dataQualityReportSchema = new mongoose.Schema({
+  // NetSuite account profile the items were synced from (see config/netsuite.js)
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  itemsChecked: {
+    type: Number,
+    default: 0
+  },
+  // Items that pass every rule
+  itemsPassing: {
+    type: Number,
+    default: 0
+  },
+  // Average item score, 0 to 100
+  score: {
+    type: Number,
+    default: 0
+  },
+  rules: [{
+    _id: false,
+    rule: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ""
+    },
+    weight: {
+      type: Number,
+      default: 1
+    },
+    // Items the rule applied to and how many of them failed it
+    checked: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    },
+    score: {
+      type: Number,
+      default: 0
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Audits between `from` and `to`, oldest first, optionally reduced to one rule
+dataQualityReportSchema.statics.trend = async function(account = DEFAULT_ACCOUNT, { from = null, to = null, rule = null } = {}) {
+  const filter = { account };
+  if (from || to) {
+    filter.runAt = {};
+    if (from) filter.runAt.$gte = from;
+    if (to) filter.runAt.$lte = to;
+  }
+
+  const reports = await this.find(filter).sort({ runAt: 1 }).lean();
+
+  return reports.map(report => {
+    const entry = {
+      runAt: report.runAt,
+      itemsChecked: report.itemsChecked,
+      itemsPassing: report.itemsPassing,
+      score: report.score
+    };
+    if (rule) {
+      entry.rule = report.rules.find(stats => stats.rule === rule) || null;
+    } else {
+      entry.rules = report.rules;
+    }
+    return entry;
+  });
+};
+
+dataQualityReportSchema.index({ account: 1, runAt: -1 });
+
+export default mongoose.model("DataQualityReport", dataQualityReportSchema);
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { conversionFactors, createConverter } from "../utils/currency.js";
+
+// One NetSuite currencyRate record: 1 unit of `currency` is worth `rate`
+// units of `baseCurrency` from `effectiveDate` on
+const exchangeRateSchema = new mongoose.Schema({
+  // NetSuite account profile the rate was synced from (see config/netsuite.js)
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT,
+    index: true
+  },
+  internalId: {
+    type: Number,
+    required: true
+  },
+  // Currency codes, with the names NetSuite shows for them
+  baseCurrency: {
+    type: String,
+    required: true
+  },
+  baseCurrencyName: {
+    type: String,
+    default: ""
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  currencyName: {
+    type: String,
+    default: ""
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  lastSynced: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Latest rate per currency pair on or before `asOf`, optionally for one account
+exchangeRateSchema.statics.latestRates = async function({ account, asOf = new Date() } = {}) {
+  const match = { effectiveDate: { $lte: asOf } };
+  if (account) match.account = account;
+
+  const rates = await this.aggregate([
+    { $match: match },
+    { $sort: { effectiveDate: -1 } },
+    {
+      $group: {
+        _id: { baseCurrency: "$baseCurrency", currency: "$currency" },
+        rate: { $first: "$rate" },
+        effectiveDate: { $first: "$effectiveDate" },
+        baseCurrencyName: { $first: "$baseCurrencyName" },
+        currencyName: { $first: "$currencyName" }
+      }
+    }
+  ]);
+
+  return rates.map(({ _id, ...rate }) => ({ ..._id, ...rate }));
+};
+
+// Converter into `currency` from the latest rates (see utils/currency.js)
+exchangeRateSchema.statics.converterFor = async function(currency, { account, asOf } = {}) {
+  const rates = await this.latestRates({ account, asOf });
+  return createConverter(currency, conversionFactors(rates, currency));
+};
+
+// Effective date of the newest stored rate for an account
+exchangeRateSchema.statics.latestEffectiveDate = async function(account = DEFAULT_ACCOUNT) {
+  const latest = await this.findOne({ account }).sort({ effectiveDate: -1 }).select("effectiveDate").lean();
+  return latest?.effectiveDate || null;
+};
+
+// A NetSuite record id is only unique within one account
+exchangeRateSchema.index({ account: 1, internalId: 1 }, { unique: true });
+exchangeRateSchema.index({ baseCurrency: 1, currency: 1, effectiveDate: -1 });
+
+export default mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { FIELD_TYPES } from "../utils/fieldMapping.js";
+
+// One NetSuite field copied onto a synced record (see utils/fieldMapping.js).
+// Used instead of config/fieldMappings.json when FIELD_MAPPINGS_SOURCE=db.
+const fieldMappingSchema = new mongoose.Schema({
+  // Record type the mapping applies to, e.g. "inventoryItem"
+  recordType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Field on our model, or key under customFields when `custom` is set
+  field: {
+    type: String,
+    required: true
+  },
+  // Property path in the NetSuite record, e.g. "custitem15" or "unitsType.refName"
+  source: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: "string"
+  },
+  custom: {
+    type: Boolean,
+    default: false
+  },
+  // SuiteQL column, when it is not the lower-cased source
+  column: {
+    type: String,
+    default: null
+  },
+  // Value used when NetSuite has none (defaults to the type's empty value)
+  default: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Active mappings for a record type, in the shape of config/fieldMappings.json
+fieldMappingSchema.statics.forRecordType = async function(recordType) {
+  const mappings = await this.find({ recordType, active: true }).sort({ createdAt: 1 }).lean();
+  return mappings.map(({ field, source, type, custom, column, default: defaultValue }) => ({
+    field,
+    source,
+    type,
+    custom,
+    ...(column && { column }),
+    ...(defaultValue !== undefined && { default: defaultValue })
+  }));
+};
+
+// Replace a record type's mappings, e.g. with the ones from the JSON file
+fieldMappingSchema.statics.replaceAll = async function(recordType, mappings) {
+  await this.deleteMany({ recordType });
+  return this.insertMany(mappings.map(mapping => ({ ...mapping, recordType })));
+};
+
+// One mapping per field and record type
+fieldMappingSchema.index({ recordType: 1, field: 1 }, { unique: true });
+
+export default mongoose.model("FieldMapping", fieldMappingSchema);
@@ -1,12 +1,30 @@
 // models/inventoryItem.js - Updated schema
 import mongoose from "mongoose";
+import { DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { ITEM_TYPE_NAMES } from "../utils/itemTypes.js";
+import { WINE_COLOURS } from "../utils/wineAttributes.js";
 
 const inventoryItemSchema = new mongoose.Schema({
   // Basic Information
+  // NetSuite account profile the record was synced from (see config/netsuite.js);
+  // internal IDs are only unique within one account
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT,
+    index: true
+  },
   internalId: {
     type: Number,
     required: true,
-    unique: true,
+    index: true
+  },
+  // NetSuite item record type (utils/itemTypes.js); selects the discriminator
+  // below with the type-specific fields
+  itemType: {
+    type: String,
+    enum: ITEM_TYPE_NAMES,
+    default: "inventoryItem",
     index: true
   },
   itemName: {
@@ -83,6 +101,34 @@ const inventoryItemSchema = new mongoose.Schema({
     default: ""
   },
   
+  // Normalised from vintage, bottleSize and type on every sync
+  // (utils/wineAttributes.js) so they can be compared and filtered by range
+  vintageYear: {
+    type: Number,
+    default: null
+  },
+  vintageYears: {
+    type: [Number],
+    default: []
+  },
+  nonVintage: {
+    type: Boolean,
+    default: false
+  },
+  multiVintage: {
+    type: Boolean,
+    default: false
+  },
+  bottleVolumeMl: {
+    type: Number,
+    default: null
+  },
+  wineColour: {
+    type: String,
+    enum: ["", ...WINE_COLOURS],
+    default: ""
+  },
+  
   // Geographic Information
   country: {
     type: String,
@@ -119,7 +165,7 @@ const inventoryItemSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: "HKD",  // Default currency
-    enum: ["HKD", "EUR", "USD"]  // Add other currencies as needed
+    match: /^[A-Z]{3}$/  // Any ISO currency code; reports convert via ExchangeRate
   },
   
   // New pricing field with trade and retail prices
@@ -131,9 +177,49 @@ const inventoryItemSchema = new mongoose.Schema({
     retailPrice: {
       type: Number,
       default: 0.0
+    },
+    // Currencies of the trade and retail price levels
+    tradeCurrency: {
+      type: String,
+      default: "HKD"
+    },
+    retailCurrency: {
+      type: String,
+      default: "HKD"
+    },
+    // Price level shown as `price` (config/priceRules.json)
+    displayPriceLevel: {
+      type: String,
+      default: ""
     }
   },
   
+  // Every price line from NetSuite: price level, currency and quantity tier
+  priceMatrix: [{
+    _id: false,
+    priceLevelId: {
+      type: String,
+      default: null
+    },
+    priceLevel: {
+      type: String,
+      default: ""
+    },
+    currency: {
+      type: String,
+      default: null
+    },
+    // Minimum quantity of the tier; 0 for the base price
+    quantity: {
+      type: Number,
+      default: 0
+    },
+    price: {
+      type: Number,
+      default: 0
+    }
+  }],
+  
   // Financial Information
   averageCost: {
     type: Number,
@@ -150,6 +236,12 @@ const inventoryItemSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Location master data (address, subsidiary) synced by scripts/syncLocations.js
+    locationRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null
+    },
     location: {
       type: String,
       default: ""
@@ -180,6 +272,38 @@ const inventoryItemSchema = new mongoose.Schema({
     }
   }],
   
+  // Outcome of the last locations fetch. Items whose sublist could not be read
+  // in full are re-fetched by scripts/resyncLocations.js.
+  locationSync: {
+    complete: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+    // Lines on the NetSuite sublist vs. lines stored in `locations`
+    expected: {
+      type: Number,
+      default: 0
+    },
+    fetched: {
+      type: Number,
+      default: 0
+    },
+    // Location re-sync attempts since the item was last fully synced
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: ""
+    },
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Total Quantity (sum of quantityAvailable from all locations)
   totalQuantity: {
     type: Number,
@@ -187,10 +311,30 @@ const inventoryItemSchema = new mongoose.Schema({
     index: true
   },
   
-  // Raw data for debugging
-  rawData: {
-    type: String,
-    default: ""
+  // NetSuite fields declared as custom in the field mappings
+  // (config/fieldMappings.json), keyed by mapping field name
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  // NetSuite status. Inactive items still exist in NetSuite; deleted ones were
+  // missing from the item list at the last reconciliation (deleted, or no
+  // longer visible to the integration role). Both are hidden from listings.
+  isInactive: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  inactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
   },
   
   // Metadata
@@ -206,16 +350,26 @@ const inventoryItemSchema = new mongoose.Schema({
   lastModifiedDate: {
     type: Date,
     default: null
+  },
+  // Hash of the mapped record fields at the last write; together with
+  // lastModifiedDate it lets a sync skip items that have not changed
+  contentHash: {
+    type: String,
+    default: ""
   }
 }, {
   timestamps: true,
+  discriminatorKey: "itemType",
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
 // Index for better query performance
+inventoryItemSchema.index({ account: 1, internalId: 1 }, { unique: true });
 inventoryItemSchema.index({ omtisId: 1 });
 inventoryItemSchema.index({ vintage: 1, type: 1 });
+inventoryItemSchema.index({ vintageYear: 1, bottleVolumeMl: 1 });
+inventoryItemSchema.index({ wineColour: 1, vintageYear: 1 });
 inventoryItemSchema.index({ country: 1, region: 1 });
 inventoryItemSchema.index({ averageCost: 1 });
 inventoryItemSchema.index({ totalValue: 1 });
@@ -240,6 +394,41 @@ inventoryItemSchema.virtual('displayName').get(function() {
   return parts.join(' ');
 });
 
+// Limit a query to items that are neither inactive nor deleted in NetSuite,
+// unless includeRemoved is set
+inventoryItemSchema.statics.activeFilter = function(filter = {}, includeRemoved = false) {
+  if (includeRemoved) return filter;
+  return { ...filter, isInactive: { $ne: true }, deletedAt: null };
+};
+
+// Stamp inactivatedAt on items that turned inactive and clear it on items that
+// became active again
+inventoryItemSchema.statics.stampInactiveChanges = async function(account = DEFAULT_ACCOUNT) {
+  const inactivated = await this.updateMany(
+    { account, isInactive: true, inactivatedAt: null },
+    { $set: { inactivatedAt: new Date() } }
+  );
+  const reactivated = await this.updateMany(
+    { account, isInactive: { $ne: true }, inactivatedAt: { $ne: null } },
+    { $set: { inactivatedAt: null } }
+  );
+  return { inactivated: inactivated.modifiedCount, reactivated: reactivated.modifiedCount };
+};
+
+// Items of an account still waiting for a complete set of locations, oldest
+// check first. Items that failed `maxAttempts` re-syncs are left for the next
+// full sync.
+inventoryItemSchema.statics.locationResyncQueue = function(account = DEFAULT_ACCOUNT, { limit = 100, maxAttempts = 5 } = {}) {
+  return this.find({
+    account,
+    "locationSync.complete": false,
+    "locationSync.attempts": { $lt: maxAttempts },
+    deletedAt: null
+  })
+    .sort({ "locationSync.checkedAt": 1 })
+    .limit(limit);
+};
+
 // Pre-save middleware to calculate totalQuantity
 inventoryItemSchema.pre('save', function(next) {
   if (this.locations && Array.isArray(this.locations)) {
@@ -252,4 +441,150 @@ inventoryItemSchema.pre('save', function(next) {
   next();
 });
 
-export default mongoose.model("InventoryItem", inventoryItemSchema);
\ No newline at end of file
+// Save an item synced from NetSuite under its item type, keyed by account and
+// internal id. An item whose type changed in NetSuite keeps its document and
+// is moved to the new type.
+inventoryItemSchema.statics.upsertFromNetSuite = async function(data) {
+  const itemType = data.itemType || "inventoryItem";
+  const filter = { account: data.account, internalId: data.internalId };
+
+  await this.updateOne(
+    { ...filter, itemType: { $ne: itemType } },
+    { $set: { itemType } },
+    { overwriteDiscriminatorKey: true }
+  );
+
+  return this.forItemType(itemType).findOneAndUpdate(filter, data, {
+    upsert: true,
+    new: true,
+    runValidators: true,
+    setDefaultsOnInsert: true
+  });
+};
+
+// Model for an item type; plain inventory items use the base model
+inventoryItemSchema.statics.forItemType = function(itemType) {
+  return itemType === "inventoryItem" ? InventoryItem : InventoryItem.discriminators[itemType];
+};
+
+const InventoryItem = mongoose.model("InventoryItem", inventoryItemSchema);
+
+// Kit contents and assembly components
+const memberSchema = new mongoose.Schema({
+  itemId: {
+    type: Number,
+    required: true
+  },
+  itemName: {
+    type: String,
+    default: ""
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Stock of one lot (NetSuite inventory number) at one location, e.g. a case
+// purchase in original wooden case versus loose bottles
+const lotSchema = new mongoose.Schema({
+  inventoryNumberId: {
+    type: Number,
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    default: ""
+  },
+  memo: {
+    type: String,
+    default: ""
+  },
+  expirationDate: {
+    type: Date,
+    default: null
+  },
+  locationId: {
+    type: Number,
+    required: true
+  },
+  location: {
+    type: String,
+    default: ""
+  },
+  quantityOnHand: {
+    type: Number,
+    default: 0
+  },
+  quantityAvailable: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Type-specific fields; everything else is shared with plain inventory items
+const lotNumberedItemSchema = new mongoose.Schema({
+  useBins: {
+    type: Boolean,
+    default: false
+  },
+  // Per-lot, per-location stock from NetSuite inventory balances
+  lots: [lotSchema],
+  lotsSyncedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Lots grouped by location with the location totals:
+// [{ locationId, location, quantityOnHand, quantityAvailable, lots }]
+lotNumberedItemSchema.methods.lotsByLocation = function() {
+  const byLocation = new Map();
+
+  for (const lot of this.lots || []) {
+    if (!byLocation.has(lot.locationId)) {
+      byLocation.set(lot.locationId, {
+        locationId: lot.locationId,
+        location: lot.location,
+        quantityOnHand: 0,
+        quantityAvailable: 0,
+        lots: []
+      });
+    }
+    const entry = byLocation.get(lot.locationId);
+    entry.quantityOnHand += lot.quantityOnHand;
+    entry.quantityAvailable += lot.quantityAvailable;
+    entry.lots.push(lot.toObject ? lot.toObject() : lot);
+  }
+
+  return [...byLocation.values()].sort((a, b) => a.locationId - b.locationId);
+};
+
+InventoryItem.discriminator("lotNumberedInventoryItem", lotNumberedItemSchema);
+
+InventoryItem.discriminator("kitItem", new mongoose.Schema({
+  members: [memberSchema],
+  // Print the member items on sales documents
+  printItems: {
+    type: Boolean,
+    default: false
+  }
+}));
+
+InventoryItem.discriminator("assemblyItem", new mongoose.Schema({
+  members: [memberSchema],
+  buildEntireAssembly: {
+    type: Boolean,
+    default: false
+  }
+}));
+
+InventoryItem.discriminator("nonInventoryResaleItem", new mongoose.Schema({
+  // Purchase price; resale items have no average cost
+  purchaseCost: {
+    type: Number,
+    default: 0
+  }
+}));
+
+export default InventoryItem;
\ No newline at end of file
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import { DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// Stock of one inventory item on one day, taken by scripts/snapshotInventory.js
+// after each inventory sync or from a daily job. A later snapshot on the same
+// day replaces the earlier one, so each day holds the last known stock.
+const inventorySnapshotSchema = new mongoose.Schema({
+  // NetSuite account profile the item was synced from (see config/netsuite.js)
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT
+  },
+  // Start of the snapshot's day (UTC)
+  snapshotDate: {
+    type: Date,
+    required: true
+  },
+  internalId: {
+    type: Number,
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "InventoryItem",
+    default: null
+  },
+  itemName: {
+    type: String,
+    default: ""
+  },
+  locations: [{
+    _id: false,
+    locationId: {
+      type: Number,
+      required: true
+    },
+    location: {
+      type: String,
+      default: ""
+    },
+    quantityOnHand: {
+      type: Number,
+      default: 0
+    },
+    quantityAvailable: {
+      type: Number,
+      default: 0
+    }
+  }],
+  totalQuantity: {
+    type: Number,
+    default: 0
+  },
+  averageCost: {
+    type: Number,
+    default: 0
+  },
+  totalValue: {
+    type: Number,
+    default: 0
+  },
+  // When the stock was read; the last snapshot of the day wins
+  takenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Start of the UTC day containing `date`
+inventorySnapshotSchema.statics.dayOf = function(date = new Date()) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Snapshot entry for an inventory item
+inventorySnapshotSchema.statics.fromItem = function(item, snapshotDate, takenAt = new Date()) {
+  return {
+    account: item.account,
+    snapshotDate,
+    internalId: item.internalId,
+    item: item._id,
+    itemName: item.itemName || "",
+    locations: (item.locations || []).map(loc => ({
+      locationId: loc.locationId,
+      location: loc.location || "",
+      quantityOnHand: loc.quantityOnHand || 0,
+      quantityAvailable: loc.quantityAvailable || 0
+    })),
+    totalQuantity: item.totalQuantity || 0,
+    averageCost: item.averageCost || 0,
+    totalValue: item.totalValue || 0,
+    takenAt
+  };
+};
+
+// Latest snapshot day on or before `date`, or null before the first snapshot
+inventorySnapshotSchema.statics.latestDayOnOrBefore = async function(account = DEFAULT_ACCOUNT, date = new Date()) {
+  const latest = await this.findOne({ account, snapshotDate: { $lte: this.dayOf(date) } })
+    .sort({ snapshotDate: -1 })
+    .select("snapshotDate")
+    .lean();
+  return latest?.snapshotDate || null;
+};
+
+// Stock as of `date`: the item snapshots of the latest snapshot day on or
+// before it, optionally limited to one item and/or one location
+inventorySnapshotSchema.statics.asOf = async function(account = DEFAULT_ACCOUNT, date = new Date(), { internalId = null, locationId = null } = {}) {
+  const snapshotDate = await this.latestDayOnOrBefore(account, date);
+  if (!snapshotDate) return { snapshotDate: null, items: [] };
+
+  const filter = { account, snapshotDate };
+  if (internalId !== null) filter.internalId = internalId;
+  if (locationId !== null) filter["locations.locationId"] = locationId;
+
+  const items = await this.find(filter).sort({ internalId: 1 }).lean();
+
+  if (locationId !== null) {
+    for (const item of items) {
+      item.locations = item.locations.filter(loc => loc.locationId === locationId);
+    }
+  }
+
+  return { snapshotDate, items };
+};
+
+// Quantity per snapshot day between `from` and `to`, for one item or the
+// whole account, optionally at one location. totalValue is only known per
+// item, so it is left out when a location is given.
+inventorySnapshotSchema.statics.history = function(account = DEFAULT_ACCOUNT, { from = null, to = null, internalId = null, locationId = null } = {}) {
+  const match = { account };
+  if (from || to) {
+    match.snapshotDate = {};
+    if (from) match.snapshotDate.$gte = this.dayOf(from);
+    if (to) match.snapshotDate.$lte = this.dayOf(to);
+  }
+  if (internalId !== null) match.internalId = internalId;
+
+  const pipeline = [{ $match: match }];
+
+  if (locationId !== null) {
+    pipeline.push(
+      { $unwind: "$locations" },
+      { $match: { "locations.locationId": locationId } },
+      {
+        $group: {
+          _id: "$snapshotDate",
+          items: { $sum: 1 },
+          quantityOnHand: { $sum: "$locations.quantityOnHand" },
+          quantityAvailable: { $sum: "$locations.quantityAvailable" }
+        }
+      }
+    );
+  } else {
+    pipeline.push({
+      $group: {
+        _id: "$snapshotDate",
+        items: { $sum: 1 },
+        quantityOnHand: { $sum: { $sum: "$locations.quantityOnHand" } },
+        quantityAvailable: { $sum: "$totalQuantity" },
+        totalValue: { $sum: "$totalValue" }
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: "$_id", items: 1, quantityOnHand: 1, quantityAvailable: 1, totalValue: 1 } }
+  );
+
+  return this.aggregate(pipeline);
+};
+
+// One snapshot per item and day
+inventorySnapshotSchema.index({ account: 1, snapshotDate: 1, internalId: 1 }, { unique: true });
+inventorySnapshotSchema.index({ account: 1, internalId: 1, snapshotDate: 1 });
+inventorySnapshotSchema.index({ account: 1, "locations.locationId": 1, snapshotDate: 1 });
+
+export default mongoose.model("InventorySnapshot", inventorySnapshotSchema);
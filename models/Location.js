@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// NetSuite location master data, synced by scripts/syncLocations.js. Item
+// location entries point here instead of fetching addresses per item.
+const locationSchema = new mongoose.Schema({
+  // NetSuite account profile the location was synced from (see config/netsuite.js)
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT,
+    index: true
+  },
+  internalId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    default: ""
+  },
+  subsidiary: {
+    id: {
+      type: String,
+      default: ""
+    },
+    name: {
+      type: String,
+      default: ""
+    }
+  },
+  // Parent location, for nested warehouses/bins
+  parent: {
+    id: {
+      type: String,
+      default: ""
+    },
+    name: {
+      type: String,
+      default: ""
+    }
+  },
+  isInactive: {
+    type: Boolean,
+    default: false
+  },
+
+  // Main address
+  address: {
+    addressee: {
+      type: String,
+      default: ""
+    },
+    addr1: {
+      type: String,
+      default: ""
+    },
+    addr2: {
+      type: String,
+      default: ""
+    },
+    city: {
+      type: String,
+      default: ""
+    },
+    state: {
+      type: String,
+      default: ""
+    },
+    country: {
+      type: String,
+      default: ""
+    },
+    countryCode: {
+      type: String,
+      default: ""
+    },
+    zip: {
+      type: String,
+      default: ""
+    }
+  },
+
+  lastModifiedDate: {
+    type: Date,
+    default: null
+  },
+  lastSynced: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Locations of an account keyed by NetSuite internal id (as a string)
+locationSchema.statics.cacheFor = async function(account = DEFAULT_ACCOUNT) {
+  const locations = await this.find({ account }).lean();
+  return new Map(locations.map(location => [String(location.internalId), location]));
+};
+
+// Fill an item location entry ({ locationId, quantityOnHand, ... }) with the
+// cached location's reference, name and address
+locationSchema.statics.applyTo = function(entry, location) {
+  if (!location) return entry;
+
+  return {
+    ...entry,
+    locationRef: location._id,
+    location: entry.location || location.name,
+    address: location.address.addressee,
+    city: location.address.city,
+    country: location.address.country,
+    zip: location.address.zip
+  };
+};
+
+// A NetSuite record id is only unique within one account
+locationSchema.index({ account: 1, internalId: 1 }, { unique: true });
+
+export default mongoose.model("Location", locationSchema);
@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import zlib from "zlib";
+import { netsuiteConfig, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// NetSuite JSON a record was built from, gzipped and kept apart from the
+// record so list queries stay small. Every sync stores a new version; older
+// ones are pruned when the record is stored again (RAW_PAYLOAD_MAX_VERSIONS,
+// RAW_PAYLOAD_MAX_AGE_DAYS), always keeping the latest.
+const rawPayloadSchema = new mongoose.Schema({
+  // NetSuite account profile the record was synced from (see config/netsuite.js)
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT
+  },
+  // Collection family of the record ("inventoryItem" covers every item type)
+  recordType: {
+    type: String,
+    required: true
+  },
+  internalId: {
+    type: Number,
+    required: true
+  },
+  // 1 for the first payload of a record, counting up with every sync
+  version: {
+    type: Number,
+    required: true
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // SHA-256 of the JSON, to tell unchanged payloads apart without unzipping
+  hash: {
+    type: String,
+    default: ""
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  compressedSize: {
+    type: Number,
+    default: 0
+  },
+  // Gzipped JSON
+  payload: {
+    type: Buffer,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Store `payload` as the next version of a record and prune the versions
+// beyond the retention limits. Resolves to the new version number.
+rawPayloadSchema.statics.store = async function({ account = DEFAULT_ACCOUNT, recordType, internalId, payload, syncedAt = new Date() }, {
+  maxVersions = netsuiteConfig.rawPayloadMaxVersions,
+  maxAgeDays = netsuiteConfig.rawPayloadMaxAgeDays
+} = {}) {
+  const json = JSON.stringify(payload);
+  const compressed = zlib.gzipSync(json);
+
+  const latest = await this.findOne({ account, recordType, internalId })
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+  const version = (latest?.version || 0) + 1;
+
+  await this.create({
+    account,
+    recordType,
+    internalId,
+    version,
+    syncedAt,
+    hash: crypto.createHash("sha256").update(json).digest("hex"),
+    size: Buffer.byteLength(json),
+    compressedSize: compressed.length,
+    payload: compressed
+  });
+
+  const expired = [{ version: { $lte: version - maxVersions } }];
+  if (maxAgeDays > 0) {
+    expired.push({ version: { $lt: version }, syncedAt: { $lt: new Date(syncedAt.getTime() - maxAgeDays * DAY_MS) } });
+  }
+  await this.deleteMany({ account, recordType, internalId, $or: expired });
+
+  return version;
+};
+
+// Versions of a record, newest first, without their payloads
+rawPayloadSchema.statics.versions = function(account, recordType, internalId) {
+  return this.find({ account, recordType, internalId })
+    .sort({ version: -1 })
+    .select("-payload -_id -__v")
+    .lean();
+};
+
+// One version of a record (the latest when `version` is null) with its
+// payload decoded, or null when there is none
+rawPayloadSchema.statics.load = async function(account, recordType, internalId, version = null) {
+  const filter = { account, recordType, internalId };
+  if (version !== null) filter.version = version;
+
+  const entry = await this.findOne(filter).sort({ version: -1 }).lean();
+  if (!entry) return null;
+
+  const { payload, _id, __v, ...meta } = entry;
+  return { ...meta, payload: JSON.parse(zlib.gunzipSync(payload.buffer ?? payload).toString("utf8")) };
+};
+
+rawPayloadSchema.index({ account: 1, recordType: 1, internalId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model("RawPayload", rawPayloadSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { DEFAULT_ACCOUNT } from "../config/netsuite.js";
 
 const salesOrderItemSchema = new mongoose.Schema({
   // Basic Item Information
@@ -10,6 +11,11 @@ const salesOrderItemSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  // NetSuite item record type of the line's item (utils/itemTypes.js)
+  itemType: {
+    type: String,
+    default: ""
+  },
   salesDescription: {
     type: String,
     default: ""
@@ -86,10 +92,17 @@ const salesOrderItemSchema = new mongoose.Schema({
 
 const salesOrderSchema = new mongoose.Schema({
   // Basic Information
+  // NetSuite account profile the record was synced from (see config/netsuite.js);
+  // internal IDs are only unique within one account
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT,
+    index: true
+  },
   internalId: {
     type: Number,
     required: true,
-    unique: true,
     index: true
   },
   transactionNumber: {
@@ -314,6 +327,7 @@ const salesOrderSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
+salesOrderSchema.index({ account: 1, internalId: 1 }, { unique: true });
 salesOrderSchema.index({ 'customer.customerName': 1 });
 salesOrderSchema.index({ orderDate: -1 });
 salesOrderSchema.index({ totalAmount: -1 });
@@ -0,0 +1,229 @@
+import mongoose from "mongoose";
+import { netsuiteConfig, formatNetSuiteDate, getAccountConfig, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { ITEM_TYPE_NAMES } from "../utils/itemTypes.js";
+
+// Record types that keep a sync state; every item type has its own watermark
+export const SYNC_RECORD_TYPES = [...ITEM_TYPE_NAMES, "salesOrder"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Progress of a paged NetSuite walk, saved after every completed page so an
+// interrupted sync can pick up where it stopped
+const syncCursorSchema = new mongoose.Schema({
+  // Query the cursor belongs to; a different filter starts a fresh walk
+  query: {
+    type: String,
+    default: ""
+  },
+  // Offset of the next page to fetch
+  offset: {
+    type: Number,
+    default: 0
+  },
+  pageSize: {
+    type: Number,
+    default: 0
+  },
+  totalResults: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// NetSuite calls made by the latest run in one sync mode
+const callStatsSchema = new mongoose.Schema({
+  records: {
+    type: Number,
+    default: 0
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  callsPerRecord: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const syncStateSchema = new mongoose.Schema({
+  // NetSuite account profile the state belongs to (see config/netsuite.js)
+  account: {
+    type: String,
+    required: true,
+    default: DEFAULT_ACCOUNT,
+    index: true
+  },
+
+  // NetSuite record type being synced, e.g. "inventoryItem" or "salesOrder"
+  recordType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  
+  // Resumable pagination cursor (absent when no walk is in progress)
+  cursor: {
+    type: syncCursorSchema,
+    default: null
+  },
+  
+  // Highest lastModifiedDate saved by a completed walk; the next run
+  // starts from here instead of SYNC_DATE
+  watermark: {
+    type: Date,
+    default: null
+  },
+  // Highest lastModifiedDate saved by the walk in progress, promoted to
+  // `watermark` once the walk reaches its last page
+  pendingWatermark: {
+    type: Date,
+    default: null
+  },
+  // Records the walk in progress failed to fetch or save; while there are
+  // any, completing the walk keeps the old watermark
+  pendingFailures: {
+    type: Number,
+    default: 0
+  },
+  lastCompletedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Calls per record of the latest run in each sync mode ("rest", "expand", ...)
+  callStats: {
+    type: Map,
+    of: callStatsSchema,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Get the saved cursor for an account's record type if it belongs to the same query
+syncStateSchema.statics.getCursor = async function(recordType, query, account = DEFAULT_ACCOUNT) {
+  const state = await this.findOne({ account, recordType });
+  if (!state?.cursor || state.cursor.query !== query) return null;
+  return state.cursor;
+};
+
+// Record that every page before `cursor.offset` has been processed
+syncStateSchema.statics.saveCursor = function(recordType, cursor, account = DEFAULT_ACCOUNT) {
+  return this.findOneAndUpdate(
+    { account, recordType },
+    { $set: { cursor: { ...cursor, updatedAt: new Date() } } },
+    { upsert: true, new: true }
+  );
+};
+
+// Drop the cursor once a walk has reached the last page
+syncStateSchema.statics.clearCursor = function(recordType, account = DEFAULT_ACCOUNT) {
+  return this.updateOne({ account, recordType }, { $set: { cursor: null } });
+};
+
+// Work out where an incremental sync starts: an explicit date wins, then the
+// saved watermark, then the configured SYNC_DATE. The watermark is stepped back
+// one day and matched inclusively so a timezone difference with the account
+// can never skip a record.
+syncStateSchema.statics.resolveStart = async function(recordType, date, account = DEFAULT_ACCOUNT) {
+  if (date) {
+    return { date, inclusive: false, source: "request" };
+  }
+  
+  const state = await this.findOne({ account, recordType });
+  if (state?.watermark) {
+    return {
+      date: formatNetSuiteDate(new Date(state.watermark.getTime() - DAY_MS), getAccountConfig(account).dateFormat),
+      inclusive: true,
+      source: "watermark",
+      watermark: state.watermark
+    };
+  }
+  
+  return { date: netsuiteConfig.syncDate, inclusive: false, source: "config" };
+};
+
+// Raise the pending watermark of the walk in progress
+syncStateSchema.statics.raisePendingWatermark = function(recordType, lastModifiedDate, account = DEFAULT_ACCOUNT) {
+  return this.updateOne(
+    { account, recordType },
+    { $max: { pendingWatermark: lastModifiedDate } },
+    { upsert: true }
+  );
+};
+
+// Count records the walk in progress failed on
+syncStateSchema.statics.recordPendingFailures = function(recordType, count, account = DEFAULT_ACCOUNT) {
+  return this.updateOne(
+    { account, recordType },
+    { $inc: { pendingFailures: count } },
+    { upsert: true }
+  );
+};
+
+// Promote the pending watermark once a walk has reached its last page. A
+// walk that failed on some records keeps the old watermark, so the next run
+// walks over them again.
+syncStateSchema.statics.commitWatermark = async function(recordType, account = DEFAULT_ACCOUNT) {
+  const state = await this.findOne({ account, recordType });
+  if (!state) return null;
+  
+  const watermark = !(state.pendingFailures > 0) && state.pendingWatermark && (!state.watermark || state.pendingWatermark > state.watermark)
+    ? state.pendingWatermark
+    : state.watermark;
+  
+  await this.updateOne(
+    { account, recordType },
+    { $set: { watermark, pendingWatermark: null, pendingFailures: 0, lastCompletedAt: new Date() } }
+  );
+  
+  return watermark;
+};
+
+// Move the watermark to an explicit date (e.g. to re-pull a window) and drop
+// any walk in progress, which was built from the old starting point
+syncStateSchema.statics.setWatermark = function(recordType, watermark, account = DEFAULT_ACCOUNT) {
+  return this.findOneAndUpdate(
+    { account, recordType },
+    { $set: { watermark, pendingWatermark: null, pendingFailures: 0, cursor: null } },
+    { upsert: true, new: true }
+  );
+};
+
+// Forget everything for an account's record type; the next run starts from SYNC_DATE
+syncStateSchema.statics.reset = function(recordType, account = DEFAULT_ACCOUNT) {
+  return this.findOneAndUpdate(
+    { account, recordType },
+    { $set: { watermark: null, pendingWatermark: null, pendingFailures: 0, cursor: null, lastCompletedAt: null } },
+    { new: true }
+  );
+};
+
+// Save the NetSuite calls made by a run in `mode` and return the latest
+// figures for every mode, so the sync strategies can be compared
+syncStateSchema.statics.recordCallStats = async function(recordType, mode, { records, calls }, account = DEFAULT_ACCOUNT) {
+  const update = records > 0
+    ? { $set: { [`callStats.${mode}`]: { records, calls, callsPerRecord: Math.round((calls / records) * 100) / 100, updatedAt: new Date() } } }
+    : {};
+  
+  const state = await this.findOneAndUpdate({ account, recordType }, update, { upsert: true, new: true });
+  return state.toObject({ flattenMaps: true }).callStats || {};
+};
+
+// One state per account and record type
+syncStateSchema.index({ account: 1, recordType: 1 }, { unique: true });
+
+export default mongoose.model("SyncState", syncStateSchema);
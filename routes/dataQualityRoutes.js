@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getRules,
+  getReport,
+  runAudit,
+  getTrend
+} from "../controllers/dataQualityController.js";
+
+const router = express.Router();
+
+// Configured rules (config/dataQualityRules.json)
+// GET /api/data-quality/rules
+router.get("/rules", getRules);
+
+// Saved audit scores over time; all routes take an optional ?account=<profile>
+// GET /api/data-quality/trend?from=2025-01-01&rule=requiredAttributes
+router.get("/trend", getTrend);
+
+// Scores per rule and the lowest-scoring items, computed now and not saved
+// GET /api/data-quality?limit=50&rule=vintageFormat&item=11565
+router.get("/", getReport);
+
+// Run an audit and save its scores to the trend
+// POST /api/data-quality { "account": "production" }
+router.post("/", runAudit);
+
+export default router;
@@ -22,16 +22,17 @@ router.get("/statistics", getStatistics);
 // GET /api/inventory/search?q=belair&page=1&limit=20
 router.get("/search", searchItems);
 
-// Get items by filters
+// Get items by filters; ranges use the normalised vintage and bottle volume
 // GET /api/inventory/filter?country=France&vintage=2014&wineType=Red
+// GET /api/inventory/filter?vintageFrom=2010&vintageTo=2015&bottleFrom=magnum&colour=red
 router.get("/filter", getItemsByFilter);
 
-// Get all items with pagination
-// GET /api/inventory?page=1&limit=50&sort=-createdAt
+// Get all items with pagination (inactive and deleted items only with includeRemoved=true)
+// GET /api/inventory?page=1&limit=50&sort=-createdAt&includeRemoved=true
 router.get("/", getAllItems);
 
 // Get single item by internal ID
-// GET /api/inventory/:id
+// GET /api/inventory/:id?account=production
 router.get("/:id", getItemById);
 
 export default router;
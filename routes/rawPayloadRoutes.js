@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getVersions,
+  getPayload,
+  getPayloadDiff
+} from "../controllers/rawPayloadController.js";
+
+// Mounted under /api/inventory/:id/raw
+const router = express.Router({ mergeParams: true });
+
+// Stored versions of the item's payload; all routes take an optional ?account=<profile>
+// GET /api/inventory/:id/raw/versions
+router.get("/versions", getVersions);
+
+// Differences between two versions (default: latest against the one before)
+// GET /api/inventory/:id/raw/diff?from=2&to=4
+router.get("/diff", getPayloadDiff);
+
+// The payload NetSuite sent (default: latest version)
+// GET /api/inventory/:id/raw?version=3
+router.get("/", getPayload);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getSnapshotDays,
+  getStockAsOf,
+  getStockHistory,
+  takeSnapshot
+} from "../controllers/snapshotController.js";
+
+const router = express.Router();
+
+// Days with a snapshot; all routes take an optional ?account=<profile>
+// GET /api/snapshots
+router.get("/", getSnapshotDays);
+
+// Per-item, per-location stock as of a date (default today)
+// GET /api/snapshots/stock?date=2025-06-30&location=1&item=11565
+router.get("/stock", getStockAsOf);
+
+// Quantity (and value) per day between two dates
+// GET /api/snapshots/history?from=2025-01-01&to=2025-06-30&location=1
+router.get("/history", getStockHistory);
+
+// Take today's snapshot now
+// POST /api/snapshots { "account": "production" }
+router.post("/", takeSnapshot);
+
+export default router;
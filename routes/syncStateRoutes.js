@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getAllSyncStates,
+  getSyncState,
+  setWatermark,
+  resetSyncState
+} from "../controllers/syncStateController.js";
+
+const router = express.Router();
+
+// Get every sync state; all routes take an optional ?account=<profile>
+// GET /api/sync-state
+router.get("/", getAllSyncStates);
+
+// Get one record type's watermark, cursor and next starting point
+// GET /api/sync-state/inventoryItem
+router.get("/:recordType", getSyncState);
+
+// Rewind (or advance) the watermark
+// PUT /api/sync-state/salesOrder/watermark { "watermark": "2025-01-01" }
+router.put("/:recordType/watermark", setWatermark);
+
+// Reset the watermark and cursor
+// DELETE /api/sync-state/inventoryItem
+router.delete("/:recordType", resetSyncState);
+
+export default router;
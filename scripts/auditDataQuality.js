@@ -0,0 +1,134 @@
+// scripts/auditDataQuality.js
+import InventoryItem from "../models/InventoryItem.js";
+import DataQualityReport from "../models/DataQualityReport.js";
+import { connectDB } from "../config/db.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { getDataQualityRules, createDataQualityReport, BASE_CURRENCY_FIELD } from "../utils/dataQuality.js";
+
+// Item fields the rules read, so the rest (price matrix, locations) stays in the database
+const ruleFields = (rules) => {
+  const paths = rules.flatMap(rule => [
+    ...(rule.fields || []),
+    rule.field,
+    rule.than,
+    ...(rule.sameCurrency || [])
+  ]).filter(path => path && path !== BASE_CURRENCY_FIELD);
+  return ["internalId", "itemName", ...new Set(paths.map(path => path.split(".")[0]))].join(" ");
+};
+
+// Check the active items of an account against the data-quality rules.
+// Returns the score per rule and the failing items (lowest score first, at
+// most `limit`, optionally only those failing `rule` or the item `internalId`);
+// with `save` the totals are stored as a DataQualityReport for the trend.
+async function auditDataQuality({ account = DEFAULT_ACCOUNT, save = true, limit = 50, rule = null, internalId = null } = {}) {
+  try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+
+    const rules = getDataQualityRules();
+    if (rule && !rules.some(candidate => candidate.id === rule)) {
+      return {
+        success: false,
+        error: `Unknown data-quality rule "${rule}". Expected one of: ${rules.map(candidate => candidate.id).join(", ")}`
+      };
+    }
+
+    console.log(`🔎 Auditing data quality of ${account} items against ${rules.length} rules`);
+
+    const filter = InventoryItem.activeFilter({ account });
+    if (internalId !== null) filter.internalId = internalId;
+
+    const items = InventoryItem.find(filter)
+      .select(ruleFields(rules))
+      .lean()
+      .cursor();
+
+    const report = createDataQualityReport(rules);
+    for await (const item of items) {
+      report.add(item);
+    }
+
+    const summary = report.summary();
+    const failing = report.items()
+      .filter(item => !rule || item.failures.some(failure => failure.rule === rule));
+
+    // A report of one item says nothing about the account's trend
+    let saved = null;
+    if (save && internalId === null) {
+      saved = await DataQualityReport.create({ account, runAt: new Date(), ...summary });
+    }
+
+    console.log(`   ✅ ${summary.itemsChecked} items, ${summary.itemsPassing} passing, score ${summary.score}`);
+    for (const stats of summary.rules) {
+      console.log(`      ${stats.rule}: ${stats.failed} of ${stats.checked} failing (score ${stats.score})`);
+    }
+
+    return {
+      success: true,
+      account,
+      ...summary,
+      itemsFailing: failing.length,
+      items: failing.slice(0, limit),
+      reportId: saved?._id,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error("❌ Data-quality audit failed:", error.message);
+    return {
+      success: false,
+      account,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    // [--account=name] [--limit=N] [--rule=id] [--no-save]
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+    const ruleArg = process.argv.find(arg => arg.startsWith('--rule='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+    const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 20;
+    const rule = ruleArg ? ruleArg.split('=')[1] : null;
+    const save = !process.argv.includes('--no-save');
+
+    await connectDB();
+
+    const result = await auditDataQuality({ account, save, limit, rule });
+    if (!result.success) {
+      console.error(`💥 ${result.error}`);
+      process.exit(1);
+    }
+
+    if (result.items.length > 0) {
+      console.log(`\n📋 Lowest-scoring items (${result.items.length} of ${result.itemsFailing} failing):`);
+      for (const item of result.items) {
+        console.log(`   ${item.internalId} ${item.itemName} — score ${item.score}`);
+        for (const failure of item.failures) {
+          console.log(`      ✗ ${failure.rule}: ${failure.message}`);
+        }
+      }
+    }
+
+    console.log(`\n🏁 Data-quality audit completed! Score ${result.score}${result.reportId ? " (saved)" : ""}`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Data-quality audit failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { auditDataQuality };
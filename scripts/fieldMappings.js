@@ -0,0 +1,72 @@
+// scripts/fieldMappings.js
+import FieldMapping from "../models/FieldMapping.js";
+import InventoryItem from "../models/InventoryItem.js";
+import { connectDB } from "../config/db.js";
+import { netsuiteConfig } from "../config/netsuite.js";
+import { loadFieldMappings, readFieldMappingsFile, validateFieldMappings } from "../utils/fieldMapping.js";
+
+// Record types with field mappings, and the model their fields land on
+const MAPPED_RECORD_TYPES = {
+  inventoryItem: InventoryItem
+};
+
+// Print the mappings the syncs will use for a record type
+async function showMappings(recordType) {
+  const mappings = await loadFieldMappings(recordType, { schema: MAPPED_RECORD_TYPES[recordType].schema });
+
+  console.log(`\n🗺️  ${recordType} field mappings (${netsuiteConfig.fieldMappingsSource})`);
+  console.log("-".repeat(30));
+  for (const { field, source, type, custom } of mappings) {
+    console.log(`   ${custom ? `customFields.${field}` : field} ← ${source} (${type})`);
+  }
+
+  return { success: true, data: mappings };
+}
+
+// Replace a record type's mappings in the database with the ones in the file
+async function seedMappings(recordType) {
+  const mappings = validateFieldMappings(
+    recordType,
+    readFieldMappingsFile(recordType),
+    { schema: MAPPED_RECORD_TYPES[recordType].schema }
+  );
+
+  await FieldMapping.replaceAll(recordType, mappings);
+  console.log(`✅ Stored ${mappings.length} ${recordType} field mappings from ${netsuiteConfig.fieldMappingsFile}`);
+
+  return { success: true, count: mappings.length };
+}
+
+// Main execution
+async function main() {
+  try {
+    // [recordType] [--seed]
+    const args = process.argv.slice(2);
+    const recordType = args.find(arg => !arg.startsWith('--')) || "inventoryItem";
+
+    if (!MAPPED_RECORD_TYPES[recordType]) {
+      console.error(`❌ Unknown record type "${recordType}". Expected one of: ${Object.keys(MAPPED_RECORD_TYPES).join(", ")}`);
+      process.exit(1);
+    }
+
+    await connectDB();
+
+    if (args.includes('--seed')) {
+      await seedMappings(recordType);
+    }
+    await showMappings(recordType);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Field mapping command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { showMappings, seedMappings };
@@ -0,0 +1,67 @@
+// scripts/migrateAccounts.js
+import InventoryItem from "../models/InventoryItem.js";
+import SalesOrder from "../models/SalesOrder.js";
+import SyncState from "../models/SyncState.js";
+import { connectDB } from "../config/db.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// Collections that are keyed by account
+const ACCOUNT_MODELS = [InventoryItem, SalesOrder, SyncState];
+
+// Tag documents synced before account profiles existed with `account`, then
+// rebuild indexes so the old single-field unique indexes (internalId,
+// recordType) are replaced by the { account, ... } compound ones
+async function migrateAccounts(account = DEFAULT_ACCOUNT) {
+  const results = {};
+
+  for (const Model of ACCOUNT_MODELS) {
+    const { modifiedCount } = await Model.updateMany(
+      { account: { $exists: false } },
+      { $set: { account } }
+    );
+    console.log(`✅ ${Model.modelName}: ${modifiedCount} documents assigned to ${account}`);
+
+    const dropped = await Model.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`   🗑️  Dropped indexes: ${dropped.join(", ")}`);
+    }
+
+    results[Model.modelName] = { migrated: modifiedCount, droppedIndexes: dropped };
+  }
+
+  return { success: true, account, results };
+}
+
+// Main execution
+async function main() {
+  try {
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+
+    if (!hasAccount(account)) {
+      console.error(`❌ Error: Unknown account "${account}". Configured accounts: ${listAccounts().join(", ")}`);
+      process.exit(1);
+    }
+
+    await connectDB();
+
+    console.log(`🔧 Assigning existing records to NetSuite account "${account}"`);
+    console.log("=".repeat(50));
+
+    await migrateAccounts(account);
+
+    console.log('\n🏁 Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { migrateAccounts };
@@ -0,0 +1,87 @@
+// scripts/migrateRawPayloads.js
+import InventoryItem from "../models/InventoryItem.js";
+import RawPayload from "../models/RawPayload.js";
+import { connectDB } from "../config/db.js";
+
+// Items migrated per $unset
+const BATCH_SIZE = 500;
+
+// Move the `rawData` string items used to carry into the RawPayload
+// collection (as version 1, synced at the item's lastSynced) and remove it from
+// the items. Items that already have a stored payload only lose the field;
+// items whose payload could not be stored keep it, to be retried or inspected.
+async function migrateRawPayloads() {
+  // rawData is no longer in the schema, so read it from the collection directly
+  const items = InventoryItem.collection.find(
+    { rawData: { $exists: true } },
+    { projection: { account: 1, internalId: 1, rawData: 1, lastSynced: 1 } }
+  );
+
+  let moved = 0;
+  let skipped = 0;
+  let unreadable = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await InventoryItem.collection.updateMany({ _id: { $in: batch } }, { $unset: { rawData: "" } });
+    batch = [];
+  };
+
+  for await (const item of items) {
+    const exists = await RawPayload.exists({ account: item.account, recordType: "inventoryItem", internalId: item.internalId });
+
+    if (exists || !item.rawData) {
+      skipped++;
+    } else {
+      try {
+        await RawPayload.store({
+          account: item.account,
+          recordType: "inventoryItem",
+          internalId: item.internalId,
+          payload: JSON.parse(item.rawData),
+          syncedAt: item.lastSynced || new Date()
+        });
+        moved++;
+      } catch (error) {
+        console.error(`⚠️ Item ${item.internalId}: raw data not moved (${error.message})`);
+        unreadable++;
+        continue;
+      }
+    }
+
+    batch.push(item._id);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`✅ ${moved} payloads moved, ${skipped} skipped, ${unreadable} unreadable (rawData kept)`);
+
+  return { success: true, moved, skipped, unreadable };
+}
+
+// Main execution
+async function main() {
+  try {
+    await connectDB();
+
+    console.log("🔧 Moving item rawData into the raw payload store");
+    console.log("=".repeat(50));
+
+    await migrateRawPayloads();
+
+    console.log('\n🏁 Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { migrateRawPayloads };
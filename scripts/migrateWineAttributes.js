@@ -0,0 +1,71 @@
+// scripts/migrateWineAttributes.js
+import InventoryItem from "../models/InventoryItem.js";
+import { connectDB } from "../config/db.js";
+import { normaliseWineAttributes } from "../utils/wineAttributes.js";
+
+// Items updated per bulk operation
+const BATCH_SIZE = 500;
+
+// Fill the normalised vintage, bottle volume and colour fields of items synced
+// before they existed (or after the rules in utils/wineAttributes.js changed)
+// from their stored vintage, bottleSize and type
+async function migrateWineAttributes() {
+  const items = InventoryItem.find({})
+    .select("vintage bottleSize type")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await InventoryItem.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  let checked = 0;
+  for await (const item of items) {
+    batch.push({
+      updateOne: {
+        filter: { _id: item._id },
+        update: { $set: normaliseWineAttributes(item) }
+      }
+    });
+    checked++;
+
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`✅ ${checked} items checked, ${updated} updated`);
+
+  return { success: true, checked, updated };
+}
+
+// Main execution
+async function main() {
+  try {
+    await connectDB();
+
+    console.log("🔧 Normalising vintage, bottle size and colour of stored items");
+    console.log("=".repeat(50));
+
+    await migrateWineAttributes();
+
+    console.log('\n🏁 Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { migrateWineAttributes };
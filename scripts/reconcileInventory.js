@@ -0,0 +1,196 @@
+// scripts/reconcileInventory.js
+import InventoryItem from "../models/InventoryItem.js";
+import { connectDB } from "../config/db.js";
+import { netsuiteConfig, getAccountConfig, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { netsuiteRequest } from "../utils/netsuiteRequest.js";
+import { describeError } from "../utils/netsuiteErrors.js";
+import { runSuiteQLAll } from "../utils/suiteql.js";
+import { paginate } from "../utils/pagination.js";
+import { ITEM_TYPES, itemTypeFilter, parseItemTypes, suiteQLItemTypeWhere } from "../utils/itemTypes.js";
+
+// "rest" walks the record API item list, "suiteql" reads ids in one query
+const RECONCILE_MODES = ["rest", "suiteql"];
+
+// Ids of every item of `itemType` in the record API list matching `query`
+async function fetchItemIdsRest(account, itemType, query = null, ids = new Set()) {
+  const { baseUrl } = getAccountConfig(account);
+  const filter = query ? `q=${encodeURIComponent(query)}&` : "";
+
+  const fetchPage = async (offset, limit) => {
+    const url = `${baseUrl}/${ITEM_TYPES[itemType].recordPath}?${filter}limit=${limit}&offset=${offset}`;
+    const response = await netsuiteRequest({ url, account });
+    return {
+      items: response.data?.items || [],
+      hasMore: Boolean(response.data?.hasMore),
+      totalResults: response.data?.totalResults ?? 0
+    };
+  };
+
+  for await (const page of paginate(fetchPage)) {
+    for (const item of page.items) ids.add(parseInt(item.id));
+  }
+
+  return ids;
+}
+
+// Every item id of `itemTypes` in NetSuite, and the inactive ones among them
+async function fetchNetSuiteItemIds(account, mode, itemTypes) {
+  if (mode === "suiteql") {
+    const rows = await runSuiteQLAll(
+      `SELECT id, isinactive FROM item WHERE ${suiteQLItemTypeWhere(itemTypes)} ORDER BY id`,
+      { account }
+    );
+    return {
+      all: new Set(rows.map(row => parseInt(row.id))),
+      inactive: new Set(rows.filter(row => row.isinactive === "T").map(row => parseInt(row.id)))
+    };
+  }
+
+  const all = new Set();
+  const inactive = new Set();
+  for (const itemType of itemTypes) {
+    await fetchItemIdsRest(account, itemType, null, all);
+    await fetchItemIdsRest(account, itemType, "isInactive IS true", inactive);
+  }
+  // Make sure inactive items count as present even if the list left them out
+  for (const id of inactive) all.add(id);
+
+  return { all, inactive };
+}
+
+// Compare the NetSuite item ids with the items stored for an account and flag
+// the differences: items missing from NetSuite get deletedAt, inactive ones
+// isInactive/inactivatedAt. Items that reappear or become active again are
+// restored. Only items of `itemTypes` are compared. Nothing is written with dryRun.
+async function reconcileInventory({ account = DEFAULT_ACCOUNT, mode, dryRun = false, force = false, itemTypes = netsuiteConfig.syncItemTypes } = {}) {
+  mode ??= netsuiteConfig.syncMode === "suiteql" ? "suiteql" : "rest";
+
+  try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+
+    if (!RECONCILE_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: `Invalid reconcile mode "${mode}". Expected one of: ${RECONCILE_MODES.join(", ")}`
+      };
+    }
+
+    itemTypes = parseItemTypes(itemTypes);
+
+    console.log(`🔍 Reconciling ${itemTypes.join(", ")} for ${account} (${mode}${dryRun ? ", dry run" : ""})`);
+
+    const netsuite = await fetchNetSuiteItemIds(account, mode, itemTypes);
+    const stored = await InventoryItem.find({ account, itemType: itemTypeFilter(itemTypes) })
+      .select("internalId isInactive deletedAt")
+      .lean();
+
+    console.log(`   NetSuite items: ${netsuite.all.size} (${netsuite.inactive.size} inactive)`);
+    console.log(`   Stored items: ${stored.length}`);
+
+    // An empty list more likely means a permission or filter problem than
+    // every item having been deleted
+    if (netsuite.all.size === 0 && stored.length > 0 && !force) {
+      return {
+        success: false,
+        account,
+        error: `NetSuite returned no inventory items; refusing to mark all ${stored.length} stored items as deleted (use force to override)`
+      };
+    }
+
+    const inNetSuite = (item) => netsuite.all.has(item.internalId);
+    const inactiveInNetSuite = (item) => netsuite.inactive.has(item.internalId);
+    const ids = (items) => items.map(item => item.internalId);
+
+    const changes = {
+      deleted: ids(stored.filter(item => !inNetSuite(item) && !item.deletedAt)),
+      restored: ids(stored.filter(item => inNetSuite(item) && item.deletedAt)),
+      inactivated: ids(stored.filter(item => inactiveInNetSuite(item) && !item.isInactive)),
+      reactivated: ids(stored.filter(item => inNetSuite(item) && !inactiveInNetSuite(item) && item.isInactive))
+    };
+
+    if (!dryRun) {
+      const now = new Date();
+      const inIds = (list) => ({ account, internalId: { $in: list } });
+
+      if (changes.deleted.length > 0) {
+        await InventoryItem.updateMany(inIds(changes.deleted), { $set: { deletedAt: now } });
+      }
+      if (changes.restored.length > 0) {
+        await InventoryItem.updateMany(inIds(changes.restored), { $set: { deletedAt: null } });
+      }
+      if (changes.inactivated.length > 0) {
+        await InventoryItem.updateMany(inIds(changes.inactivated), { $set: { isInactive: true } });
+      }
+      if (changes.reactivated.length > 0) {
+        await InventoryItem.updateMany(inIds(changes.reactivated), { $set: { isInactive: false } });
+      }
+      await InventoryItem.stampInactiveChanges(account);
+    }
+
+    console.log(`   🗑️  Deleted in NetSuite: ${changes.deleted.length}`);
+    console.log(`   ♻️  Back in NetSuite: ${changes.restored.length}`);
+    console.log(`   💤 Inactivated: ${changes.inactivated.length}`);
+    console.log(`   ✅ Reactivated: ${changes.reactivated.length}`);
+
+    return {
+      success: true,
+      account,
+      mode,
+      itemTypes,
+      dryRun,
+      netsuiteItems: netsuite.all.size,
+      netsuiteInactive: netsuite.inactive.size,
+      storedItems: stored.length,
+      changes,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error("❌ Reconciliation failed:", error.message);
+    return {
+      success: false,
+      account,
+      ...describeError(error),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    // [--account=name] [--mode=rest|suiteql] [--dry-run] [--force]
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+    const mode = modeArg ? modeArg.split('=')[1] : undefined;
+    const dryRun = process.argv.includes('--dry-run');
+    const force = process.argv.includes('--force');
+
+    await connectDB();
+
+    const result = await reconcileInventory({ account, mode, dryRun, force });
+    if (!result.success) {
+      console.error(`💥 ${result.error}`);
+      process.exit(1);
+    }
+
+    console.log('\n🏁 Reconciliation completed!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { reconcileInventory };
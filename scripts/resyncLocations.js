@@ -0,0 +1,146 @@
+// scripts/resyncLocations.js
+import InventoryItem from "../models/InventoryItem.js";
+import { connectDB } from "../config/db.js";
+import { getAccountConfig, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { CircuitOpenError, describeError } from "../utils/netsuiteErrors.js";
+import { fetchItemLocations } from "../utils/itemLocations.js";
+import { ITEM_TYPES } from "../utils/itemTypes.js";
+import { createLocationResolver } from "./syncLocations.js";
+
+// Location lines fetched together per item
+const LOCATION_BATCH_SIZE = 2;
+
+// Locations sublist URL of a stored item, under its own item type's record path
+const itemLocationsUrl = (item, baseUrl) =>
+  `${baseUrl}/${ITEM_TYPES[item.itemType || "inventoryItem"].recordPath}/${item.internalId}/locations`;
+
+// Re-fetch only the locations of items a sync left with part of their
+// locations (locationSync.complete: false). The rest of the item is untouched.
+async function resyncLocations({ account = DEFAULT_ACCOUNT, limit = 100, maxAttempts = 5 } = {}) {
+  try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+
+    const items = await InventoryItem.locationResyncQueue(account, { limit, maxAttempts });
+    console.log(`📍 ${items.length} items of ${account} queued for location re-sync`);
+
+    const resolveLocations = await createLocationResolver(account);
+    const { baseUrl } = getAccountConfig(account);
+
+    let completedCount = 0;
+    const incomplete = [];
+    let paused = null;
+
+    for (const item of items) {
+      const locationsUrl = itemLocationsUrl(item, baseUrl);
+
+      let result;
+      try {
+        result = await fetchItemLocations(item.internalId, locationsUrl, account, { batchSize: LOCATION_BATCH_SIZE });
+      } catch (error) {
+        // NetSuite is down; the remaining items stay queued for the next run
+        if (!(error instanceof CircuitOpenError)) throw error;
+        paused = { reason: error.message, retryAt: error.retryAt };
+        console.error(`\n⏸️  Location re-sync paused: ${error.message}`);
+        break;
+      }
+
+      const { locations, locationSync } = result;
+
+      if (locationSync.complete) {
+        const resolved = await resolveLocations(locations);
+        await InventoryItem.updateOne(
+          { _id: item._id },
+          {
+            $set: {
+              locations: resolved,
+              totalQuantity: resolved.reduce((sum, loc) => sum + (loc.quantityAvailable || 0), 0),
+              locationSync: { ...locationSync, attempts: 0 }
+            }
+          },
+          { runValidators: true }
+        );
+        completedCount++;
+        console.log(`   ✅ Item ${item.internalId}: ${locations.length} locations`);
+      } else {
+        // Keep the stored locations; a partial list is no better than the last one
+        await InventoryItem.updateOne(
+          { _id: item._id },
+          {
+            $set: {
+              "locationSync.expected": locationSync.expected,
+              "locationSync.fetched": locationSync.fetched,
+              "locationSync.lastError": locationSync.lastError,
+              "locationSync.checkedAt": locationSync.checkedAt
+            },
+            $inc: { "locationSync.attempts": 1 }
+          }
+        );
+        incomplete.push({
+          itemId: item.internalId,
+          expected: locationSync.expected,
+          fetched: locationSync.fetched,
+          error: locationSync.lastError || undefined
+        });
+        console.log(`   ⚠️ Item ${item.internalId}: still ${locationSync.fetched} of ${locationSync.expected} locations`);
+      }
+    }
+
+    return {
+      success: !paused,
+      account,
+      queued: items.length,
+      completed: completedCount,
+      incomplete: incomplete.length > 0 ? incomplete : undefined,
+      // Set when NetSuite was unavailable; rerun after retryAt
+      paused,
+      error: paused ? paused.reason : undefined,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error("❌ Location re-sync failed:", error.message);
+    return {
+      success: false,
+      account,
+      ...describeError(error),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    // [--account=name] [--limit=N]
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+    const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 100;
+
+    await connectDB();
+
+    const result = await resyncLocations({ account, limit });
+    if (!result.success) {
+      console.error(`💥 ${result.error}`);
+      process.exit(1);
+    }
+
+    console.log(`\n🏁 Location re-sync completed! ${result.completed} of ${result.queued} items complete`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Location re-sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { resyncLocations, itemLocationsUrl };
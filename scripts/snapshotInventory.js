@@ -0,0 +1,121 @@
+// scripts/snapshotInventory.js
+import InventoryItem from "../models/InventoryItem.js";
+import InventorySnapshot from "../models/InventorySnapshot.js";
+import { connectDB } from "../config/db.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// Snapshots written per bulk operation
+const BATCH_SIZE = 500;
+
+// Record today's per-item, per-location stock of an account. Running it again
+// the same day replaces that day's snapshot. Deleted items are left out;
+// inactive ones are kept since they can still hold stock.
+async function snapshotInventory({ account = DEFAULT_ACCOUNT, date = new Date() } = {}) {
+  try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+
+    const takenAt = new Date(date);
+    if (isNaN(takenAt.getTime())) {
+      return {
+        success: false,
+        error: `Invalid date: ${date}. Use an ISO date such as 2025-06-30`
+      };
+    }
+
+    const snapshotDate = InventorySnapshot.dayOf(takenAt);
+    console.log(`📸 Taking inventory snapshot of ${account} for ${snapshotDate.toISOString().slice(0, 10)}`);
+
+    const items = InventoryItem.find({ account, deletedAt: null })
+      .select("account internalId itemName locations totalQuantity averageCost totalValue")
+      .lean()
+      .cursor();
+
+    let batch = [];
+    let itemCount = 0;
+    let totalQuantity = 0;
+    let totalValue = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await InventorySnapshot.bulkWrite(batch, { ordered: false });
+      batch = [];
+    };
+
+    for await (const item of items) {
+      const snapshot = InventorySnapshot.fromItem(item, snapshotDate, takenAt);
+      batch.push({
+        replaceOne: {
+          filter: { account, snapshotDate, internalId: item.internalId },
+          replacement: snapshot,
+          upsert: true
+        }
+      });
+      itemCount++;
+      totalQuantity += snapshot.totalQuantity;
+      totalValue += snapshot.totalValue;
+
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    // Items deleted since an earlier snapshot the same day
+    const removed = await InventorySnapshot.deleteMany({ account, snapshotDate, takenAt: { $lt: takenAt } });
+
+    console.log(`   ✅ ${itemCount} items, ${totalQuantity} units, value ${totalValue.toFixed(2)}`);
+
+    return {
+      success: true,
+      account,
+      snapshotDate: snapshotDate.toISOString(),
+      items: itemCount,
+      removed: removed.deletedCount,
+      totalQuantity,
+      totalValue,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error("❌ Inventory snapshot failed:", error.message);
+    return {
+      success: false,
+      account,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    // [--account=name]; run daily (e.g. from cron) to keep a snapshot per day
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+
+    await connectDB();
+
+    const result = await snapshotInventory({ account });
+    if (!result.success) {
+      console.error(`💥 ${result.error}`);
+      process.exit(1);
+    }
+
+    console.log(`\n🏁 Inventory snapshot completed! ${result.items} items recorded`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Inventory snapshot failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { snapshotInventory };
@@ -0,0 +1,166 @@
+// scripts/syncExchangeRates.js
+import ExchangeRate from "../models/ExchangeRate.js";
+import { connectDB } from "../config/db.js";
+import { getAccountConfig, formatNetSuiteDate, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { netsuiteRequest } from "../utils/netsuiteRequest.js";
+import { CircuitOpenError, describeError } from "../utils/netsuiteErrors.js";
+import { paginate } from "../utils/pagination.js";
+import { currencyCode, loadCurrencyCodes } from "../utils/currency.js";
+
+// How far back the first sync of an account reads rates
+const INITIAL_LOOKBACK_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ids of the currencyRate records effective on or after `since`
+async function fetchRateIds(account, since) {
+  const config = getAccountConfig(account);
+  const query = `effectiveDate ON_OR_AFTER "${formatNetSuiteDate(since, config.dateFormat)}"`;
+  const ids = [];
+
+  const fetchPage = async (offset, limit) => {
+    const url = `${config.baseUrl}/currencyRate?q=${encodeURIComponent(query)}&limit=${limit}&offset=${offset}`;
+    const response = await netsuiteRequest({ url, account });
+    return {
+      items: response.data?.items || [],
+      hasMore: Boolean(response.data?.hasMore),
+      totalResults: response.data?.totalResults ?? 0
+    };
+  };
+
+  for await (const page of paginate(fetchPage)) {
+    ids.push(...page.items.map(item => item.id));
+  }
+
+  return ids;
+}
+
+// Transform a NetSuite currencyRate record to our schema
+function transformRateData(rateData, account) {
+  return {
+    account,
+    internalId: parseInt(rateData.id),
+    baseCurrency: currencyCode(rateData.baseCurrency?.refName),
+    baseCurrencyName: rateData.baseCurrency?.refName || "",
+    currency: currencyCode(rateData.transactionCurrency?.refName),
+    currencyName: rateData.transactionCurrency?.refName || "",
+    rate: parseFloat(rateData.exchangeRate) || 0,
+    effectiveDate: new Date(rateData.effectiveDate),
+    lastSynced: new Date()
+  };
+}
+
+// Copy NetSuite exchange rates effective since `since` (default: the newest
+// stored rate, or INITIAL_LOOKBACK_DAYS back on the first run)
+async function syncExchangeRates({ account = DEFAULT_ACCOUNT, since = null } = {}) {
+  try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+
+    if (since !== null && isNaN(new Date(since).getTime())) {
+      return {
+        success: false,
+        error: `Invalid date: ${since}. Use an ISO date such as 2025-01-01`
+      };
+    }
+
+    const start = since
+      ? new Date(since)
+      : await ExchangeRate.latestEffectiveDate(account) || new Date(Date.now() - INITIAL_LOOKBACK_DAYS * DAY_MS);
+
+    console.log(`💱 Syncing exchange rates for ${account} effective since ${start.toISOString().slice(0, 10)}`);
+
+    const ids = await fetchRateIds(account, start);
+    console.log(`   Found ${ids.length} currency rates`);
+
+    // Codes of currencies NetSuite names without one
+    await loadCurrencyCodes(account);
+
+    let savedCount = 0;
+    let skippedCount = 0;
+    const errors = [];
+
+    // A rate that cannot be fetched or saved does not stop the others
+    for (const id of ids) {
+      try {
+        const url = `${getAccountConfig(account).baseUrl}/currencyRate/${id}`;
+        const rate = transformRateData((await netsuiteRequest({ url, account })).data, account);
+
+        if (!rate.baseCurrency || !rate.currency || !(rate.rate > 0) || isNaN(rate.effectiveDate.getTime())) {
+          console.log(`   ⚠️ Skipping incomplete currency rate ${id}`);
+          skippedCount++;
+          continue;
+        }
+
+        await ExchangeRate.findOneAndUpdate(
+          { account, internalId: rate.internalId },
+          rate,
+          { upsert: true, new: true, runValidators: true }
+        );
+        console.log(`   ✅ ${rate.currency} → ${rate.baseCurrency}: ${rate.rate} (from ${rate.effectiveDate.toISOString().slice(0, 10)})`);
+        savedCount++;
+      } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
+        console.error(`   ❌ Currency rate ${id} failed:`, error.message);
+        errors.push({ id, ...describeError(error) });
+      }
+    }
+
+    return {
+      success: true,
+      account,
+      since: start.toISOString(),
+      found: ids.length,
+      saved: savedCount,
+      skipped: skippedCount,
+      failed: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error("❌ Exchange rate sync failed:", error.message);
+    return {
+      success: false,
+      account,
+      ...describeError(error),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    // [--account=name] [--since=YYYY-MM-DD]
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const sinceArg = process.argv.find(arg => arg.startsWith('--since='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+    const since = sinceArg ? sinceArg.split('=')[1] : null;
+
+    await connectDB();
+
+    const result = await syncExchangeRates({ account, since });
+    if (!result.success) {
+      console.error(`💥 ${result.error}`);
+      process.exit(1);
+    }
+
+    console.log(`\n🏁 Exchange rate sync completed! ${result.saved} saved, ${result.skipped} skipped, ${result.failed} failed`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Exchange rate sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { syncExchangeRates };
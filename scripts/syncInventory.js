@@ -1,166 +1,150 @@
-import axios from "axios";
+import crypto from "crypto";
 import InventoryItem from "../models/InventoryItem.js";
-import { netsuiteConfig, generateOAuthHeaders } from "../config/netsuite.js";
+import { netsuiteConfig, getAccountConfig, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
 import { connectDB } from "../config/db.js";
-import Bottleneck from "bottleneck";
+import { netsuiteRequest, getRequestMetrics } from "../utils/netsuiteRequest.js";
+import { CircuitOpenError, describeError } from "../utils/netsuiteErrors.js";
+import { runSuiteQL, runSuiteQLAll, suiteQLDate, suiteQLTimestamp } from "../utils/suiteql.js";
+import { paginate, MAX_PAGE_SIZE } from "../utils/pagination.js";
+import { EXPAND_SUB_RESOURCES, expandedLines, fetchSublistLines } from "../utils/sublists.js";
+import { fetchItemLocations, locationSyncStatus, toLocationData } from "../utils/itemLocations.js";
+import { loadFieldMappings, mapFields, suiteQLColumn } from "../utils/fieldMapping.js";
+import { applyPriceRules, emptyPriceData, itemCurrencyCode, toPriceEntry } from "../utils/pricing.js";
+import { ITEM_TYPES, parseItemTypes, toMemberData } from "../utils/itemTypes.js";
+import { normaliseWineAttributes } from "../utils/wineAttributes.js";
+import { loadCurrencyCodes } from "../utils/currency.js";
+import SyncState from "../models/SyncState.js";
+import RawPayload from "../models/RawPayload.js";
+import { createLocationResolver } from "./syncLocations.js";
+import { snapshotInventory } from "./snapshotInventory.js";
 
-// =========================
-// NetSuite Rate Limiter
-// =========================
-const limiter = new Bottleneck({
-  maxConcurrent: 1,   // NetSuite-safe
-  minTime: 1200       // 1.2 sec gap between calls
-});
+// Supported values for the `mode` option of syncInventory
+const SYNC_MODES = ["rest", "expand", "suiteql"];
 
-async function netsuiteRequest(config, retries = 3) {
-  try {
-    return await limiter.schedule(() => axios(config));
-  } catch (err) {
-    if (err.response?.status === 429 && retries > 0) {
-      const wait = (4 - retries) * 5000;
-      console.warn(`⚠️ 429 Rate limit hit. Retrying in ${wait} ms...`);
-      await new Promise(r => setTimeout(r, wait));
-      return netsuiteRequest(config, retries - 1);
-    }
-    throw err;
-  }
-}
+// Key the call statistics of inventory syncs are kept under; cursors and
+// watermarks are kept per item type
+const INVENTORY_RECORD_TYPE = "inventoryItem";
 
 // Connect to MongoDB
 await connectDB();
 
-// Helper function to extract value from NetSuite response
-const extractValue = (data, fieldPath) => {
-  const fields = fieldPath.split('.');
-  let value = data;
-  
-  for (const field of fields) {
-    if (value && typeof value === 'object' && field in value) {
-      value = value[field];
-    } else {
-      return '';
-    }
-  }
-  
-  if (value && typeof value === 'object' && 'refName' in value) {
-    return value.refName || '';
-  }
-  
-  return value || '';
-};
+// Build the record API filter for items modified since `start`
+// (see SyncState.resolveStart)
+function buildInventoryQuery(start) {
+  const operator = start.inclusive ? "ON_OR_AFTER" : "AFTER";
+  return `lastModifiedDate ${operator} "${start.date}"`;
+}
 
-// Helper function to extract numeric value from NetSuite response
-const extractNumericValue = (data, fieldName) => {
-  // Direct access to the field since it's at root level
-  if (data && fieldName in data) {
-    const value = data[fieldName];
-    
-    // Check if value exists and is a number or can be converted to number
-    if (value === null || value === undefined) {
-      return 0.0;
-    }
-    
-    // If it's already a number
-    if (typeof value === 'number') {
-      return value;
-    }
-    
-    // If it's a string, try to parse it
-    if (typeof value === 'string') {
-      const parsed = parseFloat(value);
-      return isNaN(parsed) ? 0.0 : parsed;
-    }
-    
-    return 0.0;
-  }
-  
-  return 0.0;
-};
+// Function to fetch one page of items of `itemType` matching `query`. List
+// entries carry only ids, so with `isModified` their lastModifiedDate is read
+// through SuiteQL; items it does not find modified come back marked unchanged,
+// before any detail call. The page carries the `loadStored` result as `storedItems`.
+async function fetchInventoryItemsPage(query, offset, pageSize, account, itemType = "inventoryItem", { loadStored = null, isModified = null } = {}) {
+  const url = `${getAccountConfig(account).baseUrl}/${ITEM_TYPES[itemType].recordPath}?q=${encodeURIComponent(query)}&limit=${pageSize}&offset=${offset}`;
 
-// Function to fetch inventory items by date range
-async function fetchInventoryItems(date) {
-  try {
-    const syncDate = date || netsuiteConfig.syncDate;
-    const encodedDate = encodeURIComponent(syncDate);
+  const response = await netsuiteRequest({ url, account });
+  const page = {
+    items: response.data?.items || [],
+    hasMore: Boolean(response.data?.hasMore),
+    totalResults: response.data?.totalResults ?? 0
+  };
 
-    const url = `${netsuiteConfig.baseUrl}/inventoryItem?q=lastModifiedDate%20AFTER%20"${encodedDate}"&limit=1000`;
+  if (page.items.length === 0 || !loadStored) return page;
 
-    const headers = {
-      Authorization: generateOAuthHeaders(url, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+  const storedItems = await loadStored(page.items.map(item => item.id));
+  const modifiedByItem = isModified && storedItems.size > 0
+    ? await fetchLastModifiedSuiteQL([...storedItems.keys()], account)
+    : null;
 
-    const response = await netsuiteRequest({
-      method: "GET",
-      url,
-      headers,
-      timeout: 30000
-    });
+  const items = page.items.map(item => {
+    const lastModifiedDate = modifiedByItem?.get(String(item.id));
+    if (!lastModifiedDate || isModified(storedItems.get(String(item.id)), lastModifiedDate)) return item;
+    return { ...item, lastModifiedDate, unchanged: true };
+  });
 
-    return response.data?.items || [];
-  } catch (error) {
-    console.error("Error fetching inventory items:", error.message);
-    return [];
-  }
+  return { ...page, storedItems, items };
 }
  
 
-async function fetchInventoryItemDetail(itemId) {
+// With `expand` the price, locations and member sublists are requested
+// inline instead of being fetched line by line through their links. A record
+// `isUnchanged` accepts comes back as is, marked unchanged, without them.
+async function fetchInventoryItemDetail(itemId, account, { expand = false, itemType = "inventoryItem", isUnchanged = null } = {}) {
   try {
-    const url = `${netsuiteConfig.baseUrl}/inventoryitem/${itemId}`;
+    const url = `${getAccountConfig(account).baseUrl}/${ITEM_TYPES[itemType].recordPath}/${itemId}${expand ? `?${EXPAND_SUB_RESOURCES}` : ""}`;
 
-    const headers = {
-      Authorization: generateOAuthHeaders(url, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+    const response = await netsuiteRequest({ url, account });
 
-    const response = await netsuiteRequest({
-      method: "GET",
-      url,
-      headers,
-      timeout: 30000
-    });
+    if (isUnchanged?.(response.data)) {
+      return { ...response.data, unchanged: true };
+    }
 
-    let priceData = {
-      price: 0,
-      currency: "HKD",
-      tradePrice: 0,
-      retailPrice: 0
-    };
+    const itemCurrency = response.data.currency;
+    let priceData = emptyPriceData(itemCurrency);
 
-    if (response.data.price?.links?.length) {
+    const priceLines = expandedLines(response.data.price);
+    const locationLines = expandedLines(response.data.locations);
+    const memberLines = expandedLines(response.data.member);
+
+    if (priceLines) {
+      priceData = applyPriceRules(priceLines.map(line => toPriceEntry(line, itemCurrency)), itemCurrency);
+    } else if (response.data.price?.links?.length) {
       priceData = await fetchPriceInformation(
         itemId,
         response.data.price.links[0].href,
-        response.data.currency?.refName
+        itemCurrency,
+        account
       );
     }
 
     let locationsData = [];
-    let totalQuantity = 0;
+    let locationSync = locationSyncStatus(0, 0);
 
-    if (response.data.locations?.links?.length) {
-      locationsData = await fetchItemLocations(
+    // Kits and resale items have no locations sublist; only kits and
+    // assemblies have a member sublist
+    if (locationLines) {
+      locationsData = locationLines.map(toLocationData);
+      locationSync = locationSyncStatus(locationLines.length, locationsData.length);
+    } else if (response.data.locations?.links?.length) {
+      ({ locations: locationsData, locationSync } = await fetchItemLocations(
         itemId,
-        response.data.locations.links[0].href
-      );
-      totalQuantity = locationsData.reduce(
-        (sum, loc) => sum + (loc.quantityAvailable || 0),
-        0
-      );
+        response.data.locations.links[0].href,
+        account
+      ));
     }
 
+    let membersData = [];
+
+    if (memberLines) {
+      membersData = memberLines.map(toMemberData);
+    } else if (response.data.member?.links?.length) {
+      membersData = await fetchItemMembers(itemId, response.data.member.links[0].href, account);
+    }
+
+    // Lots have no record API sublist; they are read from inventory balances
+    let lotsData;
+    if (ITEM_TYPES[itemType].lots) {
+      const lotsByItem = await fetchLotsSuiteQL([itemId], account);
+      lotsData = lotsByItem ? lotsByItem.get(String(itemId)) || [] : undefined;
+    }
+
+    const totalQuantity = (locationsData || []).reduce(
+      (sum, loc) => sum + (loc.quantityAvailable || 0),
+      0
+    );
+
     return {
       ...response.data,
       priceData,
       locationsData,
+      locationSync,
+      membersData,
+      lotsData,
       totalQuantity
     };
   } catch (error) {
     console.error(`Error fetching item ${itemId}:`, error.message);
-    return null;
+    throw error;
   }
 }
 
@@ -194,253 +178,468 @@ function logLocationSummary(locations) {
   }
 }
 
-// Helper function to fetch price information
-async function fetchPriceInformation(itemId, priceUrl, itemCurrency) {
+// Helper function to fetch price information: every price line, so the
+// whole price matrix is stored
+async function fetchPriceInformation(itemId, priceUrl, itemCurrency, account) {
   try {
-    const headers = {
-      Authorization: generateOAuthHeaders(priceUrl, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+    const priceResponse = await netsuiteRequest({ url: priceUrl, account });
 
-    const priceResponse = await netsuiteRequest({
-      method: "GET",
-      url: priceUrl,
-      headers,
-      timeout: 30000
-    });
-
-    let price = 0;
-    let currency = "HKD";
-    let tradePrice = 0;
-    let retailPrice = 0;
-    let hasTradePrice = false;
-    let hasRetailPrice = false;
-
-    if (itemCurrency?.includes("EUR")) currency = "EUR";
-    else if (itemCurrency?.includes("USD")) currency = "USD";
+    const priceMatrix = [];
 
     for (const priceItem of priceResponse.data.items || []) {
-      if (hasTradePrice && hasRetailPrice) break;
-
       const detail = await fetchPriceDetail(
         itemId,
-        priceItem.links[0].href
+        priceItem.links[0].href,
+        account
       );
 
-      if (!detail) continue;
-
-      if (detail.priceLevelName === "WLP (Base)") {
-        tradePrice = detail.price || 0;
-        hasTradePrice = true;
-      }
-
-      if (detail.priceLevelName === "LPCP (HKD)") {
-        retailPrice = detail.price || 0;
-        price = retailPrice;
-        currency = "HKD";
-        hasRetailPrice = true;
-      }
+      if (detail) priceMatrix.push(toPriceEntry(detail, itemCurrency));
     }
 
-    if (!price && tradePrice) price = tradePrice;
-
-    return {
-      price,
-      currency,
-      tradePrice,
-      retailPrice
-    };
+    return applyPriceRules(priceMatrix, itemCurrency);
   } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
     console.error(`Error fetching price for item ${itemId}:`, error.message);
-    return {
-      price: 0,
-      currency: "HKD",
-      tradePrice: 0,
-      retailPrice: 0
-    };
+    return emptyPriceData(itemCurrency);
   }
 }
 
 
 // Helper function to fetch individual price detail
-async function fetchPriceDetail(itemId, priceDetailUrl) {
+async function fetchPriceDetail(itemId, priceDetailUrl, account) {
   try {
-    const headers = {
-      Authorization: generateOAuthHeaders(priceDetailUrl, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
-
-    const response = await netsuiteRequest({
-      method: "GET",
-      url: priceDetailUrl,
-      headers,
-      timeout: 30000
-    });
+    const response = await netsuiteRequest({ url: priceDetailUrl, account });
 
     return response.data;
   } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
     return null;
   }
 }
 
 
-async function fetchItemLocations(itemId, locationsUrl) {
-  try {
-    const headers = {
-      Authorization: generateOAuthHeaders(locationsUrl, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
+// Kit members or assembly components, one call per member line
+async function fetchItemMembers(itemId, membersUrl, account) {
+  const { lines } = await fetchSublistLines(membersUrl, account);
+  const members = [];
+
+  for (const line of lines) {
+    const href = line.links?.[0]?.href;
+    if (!href) continue;
+
+    const response = await netsuiteRequest({ url: href, account });
+    members.push(toMemberData(response.data));
+  }
+
+  console.log(`   🧩 ${members.length} members for item ${itemId}`);
+  return members;
+}
+
+
+// =========================
+// SuiteQL bulk mode
+// =========================
+
+// Item columns read in SuiteQL mode on top of the field-mapped ones
+const SUITEQL_BASE_FIELDS = {
+  isInactive: { column: "isinactive" },
+  // Currency of price lines that carry none, as on the REST record
+  currency: { column: "currency", ref: true }
+};
+
+// Field-mapping types whose source is a list/record reference
+const REFERENCE_TYPES = ["refName", "id", "ref"];
+
+// Item columns read in SuiteQL mode, keyed by the REST record property they
+// are reshaped into so transformInventoryData can read either source. Built
+// from the field mappings, so a mapped custom field is read in both modes.
+// `ref` columns are list/record references and come back as { id, refName }.
+function buildSuiteQLItemFields(fieldMappings) {
+  const fields = { ...SUITEQL_BASE_FIELDS };
+
+  for (const mapping of fieldMappings) {
+    const property = mapping.source.split(".")[0];
+    fields[property] ??= {
+      column: suiteQLColumn(mapping),
+      ref: REFERENCE_TYPES.includes(mapping.type),
+      date: mapping.type === "date"
     };
+  }
 
-    const response = await netsuiteRequest({
-      method: "GET",
-      url: locationsUrl,
-      headers,
-      timeout: 30000
-    });
+  return fields;
+}
+
+// Item ids per IN (...) list when reading prices and locations
+const SUITEQL_ID_CHUNK_SIZE = 200;
+
+function buildSuiteQLItemColumns(itemFields) {
+  return Object.values(itemFields).map(({ column, ref, date }) => {
+    if (date) return `TO_CHAR(${column}, 'YYYY-MM-DD"T"HH24:MI:SS') AS ${column}`;
+    if (ref) return `${column}, BUILTIN.DISPLAY(${column}) AS ${column}_display`;
+    return column;
+  }).join(", ");
+}
+
+// Reshape a SuiteQL item row into the REST record layout; dates become ISO
+// UTC timestamps like the record API's
+function suiteQLRowToRecord(row, itemFields, account) {
+  const record = { id: String(row.id) };
+
+  for (const [property, { column, ref, date }] of Object.entries(itemFields)) {
+    const value = row[column];
+    if (value === null || value === undefined) continue;
+
+    if (ref) {
+      record[property] = { id: String(value), refName: row[`${column}_display`] || "" };
+    } else {
+      record[property] = date ? suiteQLTimestamp(value, account) : value;
+    }
+  }
+
+  return record;
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Price matrix entries per item id
+async function fetchPriceMatrixSuiteQL(itemIds, account) {
+  const priceMatrixByItem = new Map();
+
+  for (const ids of chunk(itemIds, SUITEQL_ID_CHUNK_SIZE)) {
+    const rows = await runSuiteQLAll(`
+      SELECT item, pricelevel, BUILTIN.DISPLAY(pricelevel) AS pricelevelname,
+             BUILTIN.DISPLAY(currency) AS currencyname, quantity, unitprice
+      FROM pricing
+      WHERE item IN (${ids.join(", ")})
+      ORDER BY item, pricelevel, currency, quantity
+    `, { account });
 
-    const locations = [];
+    for (const row of rows) {
+      const key = String(row.item);
+      if (!priceMatrixByItem.has(key)) priceMatrixByItem.set(key, []);
+      priceMatrixByItem.get(key).push(toPriceEntry({
+        priceLevel: { id: row.pricelevel },
+        priceLevelName: row.pricelevelname,
+        currencyPage: { refName: row.currencyname },
+        quantity: row.quantity,
+        price: row.unitprice
+      }));
+    }
+  }
+
+  return priceMatrixByItem;
+}
+
+// Kit members and assembly components per item id
+async function fetchMembersSuiteQL(itemIds, account) {
+  const membersByItem = new Map();
 
-    for (const item of response.data.items || []) {
-      const loc = await fetchLocationDetails(itemId, item.links[0].href);
-      if (loc) locations.push(loc);
+  for (const ids of chunk(itemIds, SUITEQL_ID_CHUNK_SIZE)) {
+    const rows = await runSuiteQLAll(`
+      SELECT parentitem, item, BUILTIN.DISPLAY(item) AS itemname, quantity
+      FROM itemmember
+      WHERE parentitem IN (${ids.join(", ")})
+      ORDER BY parentitem, linenumber
+    `, { account });
+
+    for (const row of rows) {
+      const key = String(row.parentitem);
+      if (!membersByItem.has(key)) membersByItem.set(key, []);
+      membersByItem.get(key).push(toMemberData({
+        item: { id: row.item, refName: row.itemname },
+        quantity: row.quantity
+      }));
     }
+  }
+
+  return membersByItem;
+}
 
-    return locations;
+// Lot quantities per item id: one entry per inventory number and location,
+// summed over bins and statuses. Resolves to null when the balances cannot
+// be read (e.g. no SuiteQL access), so the stored lots are kept.
+async function fetchLotsSuiteQL(itemIds, account) {
+  const lotsByItem = new Map();
+
+  try {
+    for (const ids of chunk(itemIds, SUITEQL_ID_CHUNK_SIZE)) {
+      const rows = await runSuiteQLAll(`
+        SELECT b.item, b.location, BUILTIN.DISPLAY(b.location) AS location_display,
+               b.inventorynumber, n.inventorynumber AS lotnumber, n.memo,
+               TO_CHAR(n.expirationdate, 'YYYY-MM-DD') AS expirationdate,
+               SUM(b.quantityonhand) AS quantityonhand, SUM(b.quantityavailable) AS quantityavailable
+        FROM inventorybalance b
+        JOIN inventorynumber n ON n.id = b.inventorynumber
+        WHERE b.item IN (${ids.join(", ")})
+        GROUP BY b.item, b.location, BUILTIN.DISPLAY(b.location), b.inventorynumber,
+                 n.inventorynumber, n.memo, TO_CHAR(n.expirationdate, 'YYYY-MM-DD')
+        ORDER BY b.item, b.location, n.inventorynumber
+      `, { account });
+
+      for (const row of rows) {
+        const key = String(row.item);
+        if (!lotsByItem.has(key)) lotsByItem.set(key, []);
+        lotsByItem.get(key).push({
+          inventoryNumberId: parseInt(row.inventorynumber),
+          lotNumber: row.lotnumber || "",
+          memo: row.memo || "",
+          expirationDate: row.expirationdate ? new Date(row.expirationdate) : null,
+          locationId: parseInt(row.location),
+          location: row.location_display || "",
+          quantityOnHand: parseFloat(row.quantityonhand) || 0,
+          quantityAvailable: parseFloat(row.quantityavailable) || 0
+        });
+      }
+    }
   } catch (error) {
-    return [];
+    if (error instanceof CircuitOpenError) throw error;
+    console.error(`⚠️ Could not read lots for items ${itemIds.join(", ")}:`, error.message);
+    return null;
   }
+
+  return lotsByItem;
 }
 
-async function fetchLocationDetails(itemId, locationUrl) {
+// NetSuite's lastModifiedDate per item id as an ISO UTC timestamp. Resolves
+// to null when it cannot be read, so every item is fetched in full.
+async function fetchLastModifiedSuiteQL(itemIds, account) {
+  const modifiedByItem = new Map();
+
   try {
-    const headers = {
-      Authorization: generateOAuthHeaders(locationUrl, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+    for (const ids of chunk(itemIds, SUITEQL_ID_CHUNK_SIZE)) {
+      const rows = await runSuiteQLAll(`
+        SELECT id, TO_CHAR(lastmodifieddate, 'YYYY-MM-DD"T"HH24:MI:SS') AS lastmodifieddate
+        FROM item
+        WHERE id IN (${ids.join(", ")})
+      `, { account });
 
-    const response = await netsuiteRequest({
-      method: "GET",
-      url: locationUrl,
-      headers,
-      timeout: 30000
-    });
+      for (const row of rows) {
+        modifiedByItem.set(String(row.id), suiteQLTimestamp(row.lastmodifieddate, account));
+      }
+    }
+  } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
+    console.error(`⚠️ Could not read lastModifiedDate for items ${itemIds.join(", ")}:`, error.message);
+    return null;
+  }
+
+  return modifiedByItem;
+}
+
+async function fetchLocationsSuiteQL(itemIds, account) {
+  const locationsByItem = new Map();
+
+  for (const ids of chunk(itemIds, SUITEQL_ID_CHUNK_SIZE)) {
+    const rows = await runSuiteQLAll(`
+      SELECT item, location, BUILTIN.DISPLAY(location) AS location_display,
+             quantityonhand, quantityavailable
+      FROM inventoryitemlocations
+      WHERE item IN (${ids.join(", ")}) AND location IS NOT NULL
+    `, { account });
+
+    for (const row of rows) {
+      const key = String(row.item);
+      if (!locationsByItem.has(key)) locationsByItem.set(key, []);
+      locationsByItem.get(key).push({
+        locationId: String(row.location),
+        location: row.location_display || "",
+        quantityOnHand: parseFloat(row.quantityonhand) || 0,
+        quantityAvailable: parseFloat(row.quantityavailable) || 0
+      });
+    }
+  }
 
-    const d = response.data;
+  return locationsByItem;
+}
+
+// Build the SuiteQL query for items of `itemType` modified since `start`
+function buildInventorySuiteQL(start, account, itemFields, itemType = "inventoryItem") {
+  const operator = start.inclusive ? ">=" : ">";
+  return `
+      SELECT id, ${buildSuiteQLItemColumns(itemFields)}
+      FROM item
+      WHERE ${ITEM_TYPES[itemType].suiteQLWhere} AND lastmodifieddate ${operator} ${suiteQLDate(start.date, account)}
+      ORDER BY id
+    `;
+}
+
+// Fetch one page of items together with their price levels and per-location
+// quantities. Records come back in the same shape as fetchInventoryItemDetail
+// so they can go straight into transformInventoryData. The page carries the
+// `loadStored` result for the items as `storedItems`.
+async function fetchInventoryItemsSuiteQLPage(query, offset, pageSize, account, itemFields, itemType = "inventoryItem", { loadStored = null, isUnchanged = null } = {}) {
+  const page = await runSuiteQL(query, { limit: pageSize, offset, account });
+
+  if (page.items.length === 0) return page;
+
+  // Unchanged records are returned marked as such, without sub-resources
+  const records = page.items.map(row => suiteQLRowToRecord(row, itemFields, account));
+  const storedItems = loadStored ? await loadStored(records.map(record => record.id)) : new Map();
+  const unchanged = new Set(isUnchanged
+    ? records.filter(record => isUnchanged(storedItems.get(record.id), record)).map(record => record.id)
+    : []);
+  if (unchanged.size === records.length) {
+    return { ...page, storedItems, items: records.map(record => ({ ...record, unchanged: true })) };
+  }
+
+  const itemTypeConfig = ITEM_TYPES[itemType];
+  const itemIds = records.filter(record => !unchanged.has(record.id)).map(record => record.id);
+  const priceMatrixByItem = await fetchPriceMatrixSuiteQL(itemIds, account);
+  const locationsByItem = itemTypeConfig.locations ? await fetchLocationsSuiteQL(itemIds, account) : new Map();
+  const membersByItem = itemTypeConfig.members ? await fetchMembersSuiteQL(itemIds, account) : new Map();
+  const lotsByItem = itemTypeConfig.lots ? await fetchLotsSuiteQL(itemIds, account) : null;
+
+  const items = records.map(record => {
+    if (unchanged.has(record.id)) return { ...record, unchanged: true };
+
+    const locationsData = locationsByItem.get(record.id) || [];
 
     return {
-      locationId: d.locationId?.toString() || "",
-      location: d.location_display || "",
-      quantityOnHand: d.quantityOnHand || 0,
-      quantityAvailable: d.quantityAvailable || 0
+      ...record,
+      priceData: applyPriceRules(
+        (priceMatrixByItem.get(record.id) || []).map(entry => ({ ...entry, currency: entry.currency || itemCurrencyCode(record.currency) })),
+        record.currency
+      ),
+      locationsData,
+      locationSync: locationSyncStatus(locationsData.length, locationsData.length),
+      membersData: membersByItem.get(record.id) || [],
+      lotsData: lotsByItem ? lotsByItem.get(record.id) || [] : undefined,
+      totalQuantity: locationsData.reduce(
+        (sum, loc) => sum + (loc.quantityAvailable || 0),
+        0
+      )
     };
-  } catch {
-    return null;
-  }
+  });
+
+  return { ...page, storedItems, items };
 }
 
 
-// Function to transform NetSuite data to our schema
-function transformInventoryData(netSuiteData) {
-  // Parse dates
-  let createdDate = null;
-  let lastModifiedDate = null;
-  
+// Function to transform NetSuite data to our schema. Plain NetSuite fields
+// are copied through the field mappings (config/fieldMappings.json); prices,
+// locations and members come from the sub-resources fetched alongside the
+// record, and type-specific fields from the item type (utils/itemTypes.js).
+function transformInventoryData(netSuiteData, fieldMappings, itemType = "inventoryItem") {
   // Get price information
   let price = 0;
-  let currency = "HKD";
+  let currency = netsuiteConfig.baseCurrency;
   let tradePrice = 0;
   let retailPrice = 0;
+  let tradeCurrency = netsuiteConfig.baseCurrency;
+  let retailCurrency = netsuiteConfig.baseCurrency;
+  let displayPriceLevel = "";
+  let priceMatrix = [];
   // Get locations and total quantity
   let locations = [];
   let totalQuantity = 0;
+  let locationSync = locationSyncStatus(0, 0);
   
-  try {
-    if (netSuiteData.priceData) {
-      price = netSuiteData.priceData.price || 0;
-      currency = netSuiteData.priceData.currency || "HKD";
-      tradePrice = netSuiteData.priceData.tradePrice || 0;
-      retailPrice = netSuiteData.priceData.retailPrice || 0;
-    }
-
-
-    if (netSuiteData.locationsData) {
-      locations = netSuiteData.locationsData;
-      totalQuantity = netSuiteData.totalQuantity || 0;
-    }
+  if (netSuiteData.priceData) {
+    price = netSuiteData.priceData.price || 0;
+    currency = netSuiteData.priceData.currency || netsuiteConfig.baseCurrency;
+    tradePrice = netSuiteData.priceData.tradePrice || 0;
+    retailPrice = netSuiteData.priceData.retailPrice || 0;
+    tradeCurrency = netSuiteData.priceData.tradeCurrency || currency;
+    retailCurrency = netSuiteData.priceData.retailCurrency || currency;
+    displayPriceLevel = netSuiteData.priceData.priceLevel || "";
+    priceMatrix = netSuiteData.priceData.priceMatrix || [];
+  }
 
-    if (netSuiteData.createdDate) {
-      createdDate = new Date(netSuiteData.createdDate);
-    }
-    if (netSuiteData.lastModifiedDate) {
-      lastModifiedDate = new Date(netSuiteData.lastModifiedDate);
-    }
-  } catch (error) {
-    console.error("Error parsing dates:", error);
+  if (netSuiteData.locationsData) {
+    locations = netSuiteData.locationsData;
+    totalQuantity = netSuiteData.totalQuantity || 0;
+    locationSync = netSuiteData.locationSync || locationSyncStatus(locations.length, locations.length);
+  } else if (netSuiteData.locationSync) {
+    locationSync = netSuiteData.locationSync;
   }
   
-  // Extract financial data directly from NetSuite response
-  const averageCost = extractNumericValue(netSuiteData, 'averageCost');
-  const totalValue = extractNumericValue(netSuiteData, 'totalValue');
+  const mapped = mapFields(netSuiteData, fieldMappings);
   
   console.log(`💰 Financial data for item ${netSuiteData.internalId || netSuiteData.id}:`);
-  console.log(`   averageCost: ${averageCost}`);
-  console.log(`   totalValue: ${totalValue}`);
+  console.log(`   averageCost: ${mapped.averageCost}`);
+  console.log(`   totalValue: ${mapped.totalValue}`);
   console.log(`   tradePrice: ${tradePrice}`);
   console.log(`   retailPrice: ${retailPrice}`);
+  console.log(`   price levels: ${priceMatrix.length}`);
+  
+  const itemTypeConfig = ITEM_TYPES[itemType];
   
   return {
     internalId: netSuiteData.internalId || parseInt(netSuiteData.id) || 0,
-    omtisId: extractValue(netSuiteData, 'custitem_wineid'),
-    unitType: extractValue(netSuiteData, 'unitsType.refName'),
-    itemName: netSuiteData.itemId || '',
-    replenishmentId: extractValue(netSuiteData, 'custitem86'),
-    purchaseDescription: netSuiteData.purchaseDescription || '',
-    productDescription: extractValue(netSuiteData, 'custitem_product_desc'),
-    inventoryCategory: extractValue(netSuiteData, 'custitem_inventory_category.refName'),
-    inventorySubcategory: extractValue(netSuiteData, 'custitem_inventory_subcategory.refName'),
-    omtisWineCategory: extractValue(netSuiteData, 'custitem20.refName'),
-    producer: extractValue(netSuiteData, 'custitem15.refName'),
-    omtisNameDetail: extractValue(netSuiteData, 'custitemliveexwinename'),
-    omtisName: extractValue(netSuiteData, 'custitem26.refName'),
-    classification: extractValue(netSuiteData, 'custitem_classification.refName'),
-    vintage: extractValue(netSuiteData, 'custitem3'),
-    appellation: extractValue(netSuiteData, 'custitem_wine_appellation.refName'),
-    bottleSize: extractValue(netSuiteData, 'custitem19.refName'),
-    subRegion: extractValue(netSuiteData, 'custitem_sub_region.refName'),
-    itemWeight: netSuiteData.weight || 0,
-    weightUnit: extractValue(netSuiteData, 'weightUnit.refName'),
-    region: extractValue(netSuiteData, 'custitem_region.refName'),
-    country: extractValue(netSuiteData, 'custitem9.refName'),
-    type: extractValue(netSuiteData, 'custitem_type.refName'),
+    itemType,
+    ...mapped,
+    ...normaliseWineAttributes(mapped),
+    ...itemTypeConfig.fields(netSuiteData),
+    ...(itemTypeConfig.members ? { members: netSuiteData.membersData || [] } : {}),
+    // Left out when the lots could not be read, keeping the stored ones
+    ...(itemTypeConfig.lots && netSuiteData.lotsData ? { lots: netSuiteData.lotsData, lotsSyncedAt: new Date() } : {}),
     price: price,
     currency: currency,
     
     // New pricing field
     pricing: {
       tradePrice: tradePrice,
-      retailPrice: retailPrice
+      retailPrice: retailPrice,
+      tradeCurrency: tradeCurrency,
+      retailCurrency: retailCurrency,
+      displayPriceLevel: displayPriceLevel
     },
-        locations: locations,
-    totalQuantity: totalQuantity,
-    
-    // Direct financial fields from NetSuite API
-    averageCost: averageCost,
-    totalValue: totalValue,
+    priceMatrix: priceMatrix,
+    // Left out when the locations could not be listed, keeping the stored ones;
+    // so is locationSync when the caller did not look at them at all
+    ...(netSuiteData.locationsData === null ? {} : { locations, totalQuantity }),
+    ...(netSuiteData.locationsData === null && !netSuiteData.locationSync ? {} : { locationSync: { ...locationSync, attempts: 0 } }),
     
-    // Dates
-    createdDate: createdDate,
-    lastModifiedDate: lastModifiedDate,
+    // NetSuite status; SuiteQL returns booleans as "T"/"F". A record NetSuite
+    // returned is not deleted.
+    isInactive: netSuiteData.isInactive === true || netSuiteData.isInactive === "T",
+    deletedAt: null,
     
-    // Raw data for debugging
-    rawData: JSON.stringify(netSuiteData),
+    contentHash: mappedContentHash(netSuiteData, fieldMappings, itemType),
     lastSynced: new Date()
   };
 }
 
+// Hash of the fields an item record maps to (field mappings and type-specific
+// fields). Sub-resources are left out: they are only fetched for changed items.
+function mappedContentHash(record, fieldMappings, itemType = "inventoryItem") {
+  const fields = { ...mapFields(record, fieldMappings), ...ITEM_TYPES[itemType].fields(record) };
+  return crypto.createHash("sha256").update(JSON.stringify(fields)).digest("hex");
+}
+
+// Stored items by internal id, with what isItemUnchanged compares
+async function loadStoredItems(itemIds, account) {
+  const items = await InventoryItem.find({ account, internalId: { $in: itemIds.map(id => parseInt(id)) } })
+    .select("internalId itemType lastModifiedDate contentHash locationSync.complete")
+    .lean();
+  return new Map(items.map(item => [String(item.internalId), item]));
+}
+
+// Whether NetSuite's lastModifiedDate differs from the stored item's. Items
+// of another type or still waiting for part of their locations always count
+// as modified.
+function isItemModified(stored, lastModifiedDate, itemType) {
+  if (!stored || (stored.itemType || "inventoryItem") !== itemType) return true;
+  if (stored.locationSync?.complete === false) return true;
+
+  const modified = lastModifiedDate ? new Date(lastModifiedDate) : null;
+  if (!modified || isNaN(modified.getTime()) || !stored.lastModifiedDate) return true;
+  return modified.getTime() !== new Date(stored.lastModifiedDate).getTime();
+}
+
+// A stored item is current when NetSuite's lastModifiedDate and the hash of
+// the mapped fields match it
+function isItemUnchanged(stored, record, fieldMappings, itemType) {
+  if (isItemModified(stored, record.lastModifiedDate, itemType)) return false;
+  return stored.contentHash === mappedContentHash(record, fieldMappings, itemType);
+}
+
 // Log financial summary
 function logFinancialSummary(items) {
   if (items.length === 0) return;
@@ -518,139 +717,351 @@ function logFinancialSummary(items) {
   }
 }
 
+// Compare calls per item with the latest runs in the other modes
+function logCallComparison(callStats, mode) {
+  const others = Object.entries(callStats).filter(([otherMode]) => otherMode !== mode);
+  if (others.length === 0) return;
+  
+  console.log("\n📡 Calls per item by mode (latest run):");
+  for (const [otherMode, stats] of [[mode, callStats[mode]], ...others]) {
+    if (!stats) continue;
+    console.log(`   ${otherMode === mode ? "▶" : " "} ${otherMode}: ${stats.callsPerRecord} (${stats.calls} calls for ${stats.records} items)`);
+  }
+}
+
 // Test authentication function
-async function testAuthentication() {
+// Resolves with { success: true } or { success: false, error } where error is a NetSuiteError
+async function testAuthentication(account = DEFAULT_ACCOUNT) {
   try {
-    const url = `${netsuiteConfig.baseUrl}/inventoryItem?limit=1`;
+    const url = `${getAccountConfig(account).baseUrl}/inventoryItem?limit=1`;
 
-    const headers = {
-      Authorization: generateOAuthHeaders(url, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+    await netsuiteRequest({ url, timeout: 10000, account });
 
-    await netsuiteRequest({
-      method: "GET",
-      url,
-      headers,
-      timeout: 10000
-    });
-
-    return true;
-  } catch {
-    return false;
+    return { success: true };
+  } catch (error) {
+    return { success: false, error };
   }
 }
 
 
 // Main function to sync inventory
-async function syncInventory(limit = 10, date = null) {
+// options.mode: "rest" follows record links per item, "expand" requests each
+// item with its sublists inline, "suiteql" reads in bulk queries
+// options.account: NetSuite account profile to sync from (default account when omitted)
+// options.itemTypes: item types to sync, in order (utils/itemTypes.js; SYNC_ITEM_TYPES)
+// options.force: refetch and rewrite items even when they are unchanged (in
+// rest/expand mode unchanged means the same lastModifiedDate, so force a run
+// after changing the field mappings)
+async function syncInventory(limit = 10, date = null, { mode = netsuiteConfig.syncMode, account = DEFAULT_ACCOUNT, itemTypes = netsuiteConfig.syncItemTypes, force = false } = {}) {
   try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    if (!SYNC_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: `Invalid sync mode "${mode}". Expected one of: ${SYNC_MODES.join(", ")}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    try {
+      itemTypes = parseItemTypes(itemTypes);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
     console.log("=== Starting Inventory Sync ===");
     console.log("Configuration:");
-    console.log(`- Realm: ${netsuiteConfig.realm}`);
-    console.log(`- Base URL: ${netsuiteConfig.baseUrl}`);
+    const accountConfig = getAccountConfig(account);
+    console.log(`- Account: ${account}`);
+    console.log(`- Realm: ${accountConfig.realm}`);
+    console.log(`- Base URL: ${accountConfig.baseUrl}`);
+    console.log(`- Mode: ${mode}`);
     console.log(`- Limit: ${limit} items`);
-    console.log(`- Date: ${date || netsuiteConfig.syncDate}`);
+    console.log(`- Item types: ${itemTypes.join(", ")}`);
+    
+    const fieldMappings = await loadFieldMappings(INVENTORY_RECORD_TYPE, { schema: InventoryItem.schema });
+    console.log(`- Field mappings: ${fieldMappings.length} (${netsuiteConfig.fieldMappingsSource})`);
+    
+    const accountCalls = () => getRequestMetrics().accounts[account]?.calls || 0;
+    const callsAtStart = accountCalls();
     
     // Test authentication first
-    const authSuccess = await testAuthentication();
-    if (!authSuccess) {
+    const auth = await testAuthentication(account);
+    if (!auth.success) {
       return {
         success: false,
-        error: "Authentication failed. Please check your OAuth credentials.",
+        error: `Authentication failed. Please check your OAuth credentials. (${auth.error.message})`,
+        code: auth.error.code,
+        netsuiteError: describeError(auth.error),
         timestamp: new Date().toISOString()
       };
     }
     
-    // Step 1: Fetch inventory items
-    console.log("\n=== Fetching Inventory Items ===");
-    const items = await fetchInventoryItems(date);
+    // Item location entries take their address from the Location collection
+    const resolveLocations = await createLocationResolver(account);
     
-    if (items.length === 0) {
-      console.log("No items to sync");
-      return { 
-        success: true, 
-        message: "No items found matching criteria", 
-        processed: 0, 
-        saved: 0,
-        timestamp: new Date().toISOString()
-      };
-    }
+    // Price lines and items in currencies NetSuite names without a code
+    await loadCurrencyCodes(account);
     
-    // Step 2: Process items (limit to specified number)
-    const itemsToProcess = items.slice(0, limit);
+    // Process items (limit to specified number, shared by all item types)
     let processedCount = 0;
     let savedCount = 0;
+    let createdCount = 0;
+    let updatedCount = 0;
+    // Unchanged since the last sync: neither sub-resources fetched nor written
+    let skippedCount = 0;
     const errors = [];
     const savedItems = [];
+    let paused = null;
+    // Watermark and list position per item type
+    const itemTypeResults = {};
     
-    console.log(`\n=== Processing ${itemsToProcess.length} Items ===`);
+    const suiteqlFields = buildSuiteQLItemFields(fieldMappings);
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
     
-    for (const item of itemsToProcess) {
-      const itemId = item.id;
-      console.log(`\n[${processedCount + 1}/${itemsToProcess.length}] Processing item ID: ${itemId}`);
+    try {
+      for (const itemType of itemTypes) {
+        if (processedCount >= limit) break;
+        
+        // Step 1: Walk the item type's list page by page, resuming from the
+        // saved cursor if an earlier run stopped part-way through.
+        // In SuiteQL mode the records already carry prices and locations.
+        const start = await SyncState.resolveStart(itemType, date, account);
+        const itemFields = { ...suiteqlFields, ...ITEM_TYPES[itemType].suiteQLFields };
+        const query = mode === "suiteql" ? buildInventorySuiteQL(start, account, itemFields, itemType) : buildInventoryQuery(start);
+        const loadStored = (itemIds) => loadStoredItems(itemIds, account);
+        const isUnchanged = force ? null : (stored, record) => isItemUnchanged(stored, record, fieldMappings, itemType);
+        const fetchPage = mode === "suiteql"
+          ? (query, offset, size, account) => fetchInventoryItemsSuiteQLPage(query, offset, size, account, itemFields, itemType, { loadStored, isUnchanged })
+          : (query, offset, size, account) => fetchInventoryItemsPage(query, offset, size, account, itemType, {
+            loadStored,
+            isModified: force ? null : (stored, lastModifiedDate) => isItemModified(stored, lastModifiedDate, itemType)
+          });
+        const cursorQuery = `${mode} ${query}`.replace(/\s+/g, " ").trim();
+        const cursor = await SyncState.getCursor(itemType, cursorQuery, account);
+        const startOffset = cursor?.offset || 0;
+        const startedAt = cursor?.startedAt || new Date();
+        
+        const progress = itemTypeResults[itemType] = {
+          syncStart: start,
+          watermark: start.watermark || null,
+          pagination: {
+            resumedFrom: startOffset,
+            nextOffset: startOffset,
+            totalResults: 0,
+            complete: false
+          }
+        };
+        
+        console.log(`\n=== Fetching ${itemType} records modified since ${start.date} (${start.source}) ===`);
+        
+        if (cursor) {
+          console.log(`\n↪️  Resuming from offset ${startOffset} (last page saved ${cursor.updatedAt?.toISOString()})`);
+        }
+        
+        try {
+          for await (const page of paginate((offset, size) => fetchPage(query, offset, size, account), { offset: startOffset, pageSize })) {
+            progress.pagination.totalResults = page.totalResults;
+            const expectedCount = Math.min(limit, processedCount + Math.max(page.totalResults - page.offset, 0));
+            let pageComplete = true;
+            let pageLastModified = null;
+            const errorsBeforePage = errors.length;
+    
+            console.log(`\n=== Page at offset ${page.offset}: ${page.items.length} of ${page.totalResults} items ===`);
+    
+            // Items already stored, to tell updates from new items and to
+            // recognise unchanged ones (the pages bring them along)
+            const storedItems = page.storedItems ?? await loadStoredItems(page.items.map(item => item.id), account);
+    
+            for (const item of page.items) {
+              if (processedCount >= limit) {
+                pageComplete = false;
+                break;
+              }
       
-      // Step 3: Fetch detailed item data
-      const detailedData = await fetchInventoryItemDetail(itemId);
+              const itemId = item.id;
+              console.log(`\n[${processedCount + 1}/${expectedCount}] Processing ${itemType} ID: ${itemId}`);
+    
+              // Step 3: Fetch detailed item data
+              let detailedData = item;
+              let fetchError = null;
+              if (mode !== "suiteql" && !item.unchanged) {
+                try {
+                  const isDetailUnchanged = isUnchanged && ((record) => isUnchanged(storedItems.get(String(itemId)), record));
+                  detailedData = await fetchInventoryItemDetail(itemId, account, { expand: mode === "expand", itemType, isUnchanged: isDetailUnchanged });
+                } catch (error) {
+                  if (error instanceof CircuitOpenError) throw error;
+                  detailedData = null;
+                  fetchError = error;
+                }
+              }
+    
+              if (detailedData?.unchanged) {
+                // Still counts towards the watermark
+                const modified = new Date(detailedData.lastModifiedDate);
+                if (modified > pageLastModified) {
+                  pageLastModified = modified;
+                }
+                skippedCount++;
+                console.log(`⏭️  Unchanged since last sync`);
+              } else if (detailedData) {
+                // Step 4: Transform data
+                const locationsData = detailedData.locationsData && await resolveLocations(detailedData.locationsData);
+                const netSuiteData = { ...detailedData, locationsData };
+                const transformedData = { ...transformInventoryData(netSuiteData, fieldMappings, itemType), account };
       
-      if (detailedData) {
-        // Step 4: Transform data
-        const transformedData = transformInventoryData(detailedData);
+                // Step 5: Save to MongoDB
+                try {
+                  await InventoryItem.upsertFromNetSuite(transformedData);
+                  if (storedItems.has(String(itemId))) updatedCount++;
+                  else createdCount++;
         
-        // Step 5: Save to MongoDB
-        try {
-          const result = await InventoryItem.findOneAndUpdate(
-            { internalId: transformedData.internalId },
-            transformedData,
-            { 
-              upsert: true, 
-              new: true, 
-              runValidators: true,
-              setDefaultsOnInsert: true 
-            }
-          );
-          
-          savedCount++;
-          savedItems.push(transformedData);
-          
-          // Log item info with financial data
-          const displayName = transformedData.itemName || `Item ${itemId}`;
-          const shortName = displayName.length > 40 
-            ? displayName.substring(0, 40) + '...' 
-            : displayName;
-          
-          console.log(`✅ Saved: ${shortName}`);
-          
-          if (transformedData.averageCost > 0) {
-            console.log(`   📊 Average Cost: ${transformedData.averageCost.toFixed(2)}`);
-          }
+                  // Keep what NetSuite sent for debugging; losing it does not fail the item
+                  try {
+                    await RawPayload.store({ account, recordType: INVENTORY_RECORD_TYPE, internalId: transformedData.internalId, payload: netSuiteData });
+                  } catch (payloadError) {
+                    console.error(`⚠️ Could not store raw payload of item ${itemId}:`, payloadError.message);
+                  }
+        
+                  savedCount++;
+                  savedItems.push(transformedData);
           
-          if (transformedData.totalValue > 0) {
-            console.log(`   💰 Total Value: ${transformedData.totalValue.toFixed(2)}`);
+                  if (transformedData.lastModifiedDate > pageLastModified) {
+                    pageLastModified = transformedData.lastModifiedDate;
+                  }
+        
+                  // Log item info with financial data
+                  const displayName = transformedData.itemName || `Item ${itemId}`;
+                  const shortName = displayName.length > 40 
+                    ? displayName.substring(0, 40) + '...' 
+                    : displayName;
+        
+                  console.log(`✅ Saved: ${shortName}`);
+        
+                  if (transformedData.averageCost > 0) {
+                    console.log(`   📊 Average Cost: ${transformedData.averageCost.toFixed(2)}`);
+                  }
+        
+                  if (transformedData.totalValue > 0) {
+                    console.log(`   💰 Total Value: ${transformedData.totalValue.toFixed(2)}`);
+                  }
+        
+                } catch (dbError) {
+                  console.error(`❌ Error saving item ${itemId}:`, dbError.message);
+                  errors.push({ itemId, itemType, error: dbError.message });
+                }
+              } else {
+                console.error(`❌ Failed to fetch details for item ${itemId}`);
+                errors.push({ itemId, itemType, ...describeError(fetchError) });
+              }
+    
+              processedCount++;
+            }
+    
+            // A page only counts as done once every item on it has been processed
+            if (!pageComplete) break;
+    
+            progress.pagination.nextOffset = page.nextOffset;
+            progress.pagination.complete = !page.hasMore;
+    
+            if (pageLastModified) {
+              await SyncState.raisePendingWatermark(itemType, pageLastModified, account);
+            }
+            // Failed items hold the watermark back until a walk gets them through
+            if (errors.length > errorsBeforePage) {
+              await SyncState.recordPendingFailures(itemType, errors.length - errorsBeforePage, account);
+            }
+    
+            if (progress.pagination.complete) {
+              await SyncState.clearCursor(itemType, account);
+              progress.watermark = await SyncState.commitWatermark(itemType, account);
+            } else {
+              await SyncState.saveCursor(itemType, {
+                query: cursorQuery,
+                offset: page.nextOffset,
+                pageSize,
+                totalResults: page.totalResults,
+                startedAt
+              }, account);
+            }
+    
+            if (processedCount >= limit) break;
           }
-          
-        } catch (dbError) {
-          console.error(`❌ Error saving item ${itemId}:`, dbError.message);
-          errors.push({ itemId, error: dbError.message });
+        } catch (error) {
+          // A type the integration role cannot list should not stop the others
+          if (error instanceof CircuitOpenError) throw error;
+          console.error(`❌ Failed to list ${itemType} records:`, error.message);
+          progress.error = describeError(error);
+          errors.push({ itemType, ...describeError(error) });
         }
-      } else {
-        console.error(`❌ Failed to fetch details for item ${itemId}`);
-        errors.push({ itemId, error: "Failed to fetch details" });
       }
-      
-      processedCount++;
-      
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
+    } catch (error) {
+      // NetSuite stayed down past the circuit breaker's maximum pause. Pages
+      // finished so far are saved in the cursor, so the next run resumes here.
+      if (!(error instanceof CircuitOpenError)) throw error;
+      paused = { reason: error.message, retryAt: error.retryAt };
+      console.error(`\n⏸️  Sync paused: ${error.message}`);
+    }
+    
+    if (savedCount > 0) {
+      await InventoryItem.stampInactiveChanges(account);
+    }
+    
+    // Record the day's stock (SNAPSHOT_AFTER_SYNC) only when the run brought
+    // the whole account up to date: every configured item type walked to the
+    // end from its watermark. Limited, single-type or dated runs leave it to
+    // npm run snapshot.
+    const fullSync = !paused && !date && parseItemTypes(netsuiteConfig.syncItemTypes)
+      .every(itemType => itemTypeResults[itemType]?.pagination.complete);
+    const snapshot = netsuiteConfig.snapshotAfterSync && fullSync
+      ? await snapshotInventory({ account })
+      : null;
+    
+    if (processedCount === 0 && !paused) {
+      console.log("No items to sync");
+      return { 
+        success: true, 
+        message: "No items found matching criteria", 
+        account,
+        processed: 0, 
+        saved: 0,
+        created: 0,
+        updated: 0,
+        skipped: 0,
+        complete: itemTypes.every(itemType => itemTypeResults[itemType]?.pagination.complete),
+        itemTypes: itemTypeResults,
+        snapshot,
+        timestamp: new Date().toISOString()
+      };
     }
     
+    const netsuiteCalls = accountCalls() - callsAtStart;
+    const locationsIncomplete = savedItems.filter(item => !item.locationSync.complete).length;
+    const callStats = await SyncState.recordCallStats(INVENTORY_RECORD_TYPE, mode, { records: processedCount, calls: netsuiteCalls }, account);
+    
     console.log("\n" + "=".repeat(50));
-    console.log("📦 SYNC COMPLETE");
+    console.log(`📦 ${paused ? "SYNC PAUSED" : "SYNC COMPLETE"}`);
     console.log("=".repeat(50));
     console.log(`📊 Processed: ${processedCount} items`);
-    console.log(`✅ Saved: ${savedCount} items`);
+    console.log(`✅ Saved: ${savedCount} items (${createdCount} created, ${updatedCount} updated)`);
+    console.log(`⏭️  Skipped: ${skippedCount} unchanged items`);
     console.log(`❌ Failed: ${errors.length} items`);
+    if (locationsIncomplete > 0) {
+      console.log(`📍 Partial locations: ${locationsIncomplete} items (run npm run resync-locations)`);
+    }
+    console.log(`📡 NetSuite calls: ${netsuiteCalls} (${callStats[mode]?.callsPerRecord ?? "-"} per item)`);
+    logCallComparison(callStats, mode);
     
     // Log financial summary
     if (savedItems.length > 0) {
@@ -659,14 +1070,34 @@ async function syncInventory(limit = 10, date = null) {
     
     if (errors.length > 0) {
       console.log("\n⚠️  Errors encountered:");
-      errors.forEach(err => console.log(`   - Item ${err.itemId}: ${err.error}`));
+      errors.forEach(err => console.log(`   - ${err.itemId ? `Item ${err.itemId}` : err.itemType}: ${err.error}`));
     }
     
     return {
-      success: true,
+      success: !paused,
+      account,
+      mode,
       processed: processedCount,
       saved: savedCount,
+      created: createdCount,
+      updated: updatedCount,
+      // Unchanged since the last sync (lastModifiedDate and content hash); not rewritten
+      skipped: skippedCount,
       failed: errors.length,
+      // Saved with only part of their locations; queued for scripts/resyncLocations.js
+      locationsIncomplete,
+      netsuiteCalls,
+      callsPerRecord: callStats[mode]?.callsPerRecord ?? null,
+      // Latest calls per item for every mode run on this account
+      callComparison: callStats,
+      // Every item type walked to the end of its list
+      complete: itemTypes.every(itemType => itemTypeResults[itemType]?.pagination.complete),
+      // Watermark and list position per item type
+      itemTypes: itemTypeResults,
+      snapshot,
+      // Set when NetSuite was unavailable; rerun after retryAt to resume from the cursor
+      paused,
+      error: paused ? paused.reason : undefined,
       financialSummary: savedItems.length > 0 ? {
         totalAverageCost: savedItems.reduce((sum, item) => sum + (item.averageCost || 0), 0),
         totalValue: savedItems.reduce((sum, item) => sum + (item.totalValue || 0), 0),
@@ -690,7 +1121,7 @@ async function syncInventory(limit = 10, date = null) {
     console.error(error.stack);
     return {
       success: false,
-      error: error.message,
+      ...describeError(error),
       timestamp: new Date().toISOString()
     };
   }
@@ -783,16 +1214,29 @@ if (process.argv[1] === new URL(import.meta.url).pathname) {
       // Check existing data
       await checkExistingData();
       
-      // Get parameters from command line
-      const limit = process.argv[2] ? parseInt(process.argv[2]) : 10;
-      const date = process.argv[3] || null;
+      // Get parameters from command line: [limit] [date] [--mode=rest|expand|suiteql] [--account=name] [--types=kitItem,...] [--force]
+      const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+      const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+      const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+      const typesArg = process.argv.find(arg => arg.startsWith('--types='));
+      const limit = args[0] ? parseInt(args[0]) : 10;
+      const date = args[1] || null;
+      const mode = modeArg ? modeArg.split('=')[1] : netsuiteConfig.syncMode;
+      const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+      const itemTypes = typesArg ? typesArg.split('=')[1] : netsuiteConfig.syncItemTypes;
+      // Refetch and rewrite items even when they are unchanged
+      const force = process.argv.includes('--force');
       
       console.log(`\n⚙️  Sync Parameters:`);
+      console.log(`   Account: ${account}`);
       console.log(`   Limit: ${limit} items`);
-      console.log(`   Date: ${date || netsuiteConfig.syncDate}`);
+      console.log(`   Date: ${date || "from saved watermark"}`);
+      console.log(`   Mode: ${mode}`);
+      console.log(`   Item types: ${itemTypes}`);
+      if (force) console.log(`   Force: rewriting unchanged items`);
       
       // Sync new data
-      const result = await syncInventory(limit, date);
+      const result = await syncInventory(limit, date, { mode, account, itemTypes, force });
       
       // Check updated count
       const newCount = await checkExistingData();
@@ -813,4 +1257,4 @@ if (process.argv[1] === new URL(import.meta.url).pathname) {
 }
 
 // Export for use in other files
-export { syncInventory, checkExistingData, testAuthentication };
\ No newline at end of file
+export { syncInventory, checkExistingData, testAuthentication, transformInventoryData };
\ No newline at end of file
@@ -0,0 +1,188 @@
+// scripts/syncLocations.js
+import Location from "../models/Location.js";
+import { connectDB } from "../config/db.js";
+import { getAccountConfig, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { netsuiteRequest } from "../utils/netsuiteRequest.js";
+import { describeError } from "../utils/netsuiteErrors.js";
+import { paginate } from "../utils/pagination.js";
+import { EXPAND_SUB_RESOURCES } from "../utils/sublists.js";
+
+// Ids of every location record
+async function fetchLocationIds(account) {
+  const { baseUrl } = getAccountConfig(account);
+  const ids = [];
+
+  const fetchPage = async (offset, limit) => {
+    const url = `${baseUrl}/location?limit=${limit}&offset=${offset}`;
+    const response = await netsuiteRequest({ url, account });
+    return {
+      items: response.data?.items || [],
+      hasMore: Boolean(response.data?.hasMore),
+      totalResults: response.data?.totalResults ?? 0
+    };
+  };
+
+  for await (const page of paginate(fetchPage)) {
+    ids.push(...page.items.map(item => item.id));
+  }
+
+  return ids;
+}
+
+// A location record with its main address. The address subrecord comes
+// inline with expandSubResources; older endpoints only link to it.
+async function fetchLocation(id, account) {
+  const { baseUrl } = getAccountConfig(account);
+  const record = (await netsuiteRequest({ url: `${baseUrl}/location/${id}?${EXPAND_SUB_RESOURCES}`, account })).data;
+
+  const mainAddress = record.mainAddress || {};
+  const addressInline = Object.keys(mainAddress).some(key => key !== "links");
+
+  if (!addressInline && mainAddress.links?.length) {
+    record.mainAddress = (await netsuiteRequest({ url: mainAddress.links[0].href, account })).data;
+  }
+
+  return record;
+}
+
+// Transform a NetSuite location record to our schema
+function transformLocationData(record, account) {
+  const address = record.mainAddress || {};
+  const country = address.country;
+
+  return {
+    account,
+    internalId: parseInt(record.id),
+    name: record.name || "",
+    subsidiary: {
+      id: record.subsidiary?.id || "",
+      name: record.subsidiary?.refName || ""
+    },
+    parent: {
+      id: record.parent?.id || "",
+      name: record.parent?.refName || ""
+    },
+    isInactive: record.isInactive === true || record.isInactive === "T",
+    address: {
+      addressee: address.addressee || "",
+      addr1: address.addr1 || "",
+      addr2: address.addr2 || "",
+      city: address.city || "",
+      state: address.state?.refName || address.state || "",
+      country: country?.refName || country || "",
+      countryCode: country?.id || "",
+      zip: address.zip || ""
+    },
+    lastModifiedDate: record.lastModifiedDate ? new Date(record.lastModifiedDate) : null,
+    lastSynced: new Date()
+  };
+}
+
+// Copy every NetSuite location of an account, including inactive ones, into
+// the Location collection
+async function syncLocations({ account = DEFAULT_ACCOUNT } = {}) {
+  try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+
+    console.log(`📍 Syncing locations for ${account}`);
+
+    const ids = await fetchLocationIds(account);
+    console.log(`   Found ${ids.length} locations`);
+
+    const errors = [];
+    let savedCount = 0;
+
+    for (const id of ids) {
+      try {
+        const location = transformLocationData(await fetchLocation(id, account), account);
+
+        await Location.findOneAndUpdate(
+          { account, internalId: location.internalId },
+          location,
+          { upsert: true, new: true, runValidators: true }
+        );
+        savedCount++;
+
+        const place = [location.address.city, location.address.country].filter(Boolean).join(", ");
+        console.log(`   ✅ ${location.name} (${location.internalId})${place ? ` – ${place}` : ""}${location.isInactive ? " [inactive]" : ""}`);
+      } catch (error) {
+        console.error(`   ❌ Location ${id}:`, error.message);
+        errors.push({ locationId: id, ...describeError(error) });
+      }
+    }
+
+    return {
+      success: errors.length === 0,
+      account,
+      found: ids.length,
+      saved: savedCount,
+      errors: errors.length > 0 ? errors : undefined,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error("❌ Location sync failed:", error.message);
+    return {
+      success: false,
+      account,
+      ...describeError(error),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Resolver that fills item location entries from the Location collection.
+// The first location id missing from the collection triggers one location
+// sync for the account, so new warehouses are picked up without a separate run.
+async function createLocationResolver(account = DEFAULT_ACCOUNT) {
+  let cache = await Location.cacheFor(account);
+  let refreshed = false;
+
+  return async (entries = []) => {
+    const isUnknown = (entry) => !cache.has(String(entry.locationId));
+
+    if (!refreshed && entries.some(isUnknown)) {
+      refreshed = true;
+      console.log(`📍 Location cache for ${account} is missing ${entries.filter(isUnknown).map(entry => entry.locationId).join(", ")}; refreshing`);
+      await syncLocations({ account });
+      cache = await Location.cacheFor(account);
+    }
+
+    return entries.map(entry => Location.applyTo(entry, cache.get(String(entry.locationId))));
+  };
+}
+
+// Main execution
+async function main() {
+  try {
+    // [--account=name]
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
+
+    await connectDB();
+
+    const result = await syncLocations({ account });
+    if (!result.success) {
+      console.error(`💥 ${result.error || `${result.errors?.length} locations failed`}`);
+      process.exit(1);
+    }
+
+    console.log(`\n🏁 Location sync completed! ${result.saved} locations saved`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Location sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { syncLocations, createLocationResolver };
@@ -1,8 +1,19 @@
-import axios from "axios";
 import SalesOrder from "../models/SalesOrder.js";
-import { netsuiteConfig, generateOAuthHeaders } from "../config/netsuite.js";
+import InventoryItem from "../models/InventoryItem.js";
+import { netsuiteConfig, getAccountConfig, hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
 import { connectDB } from "../config/db.js";
-import { netsuiteRequest } from "../utils/netsuiteRequest.js";
+import { netsuiteRequest, getRequestMetrics } from "../utils/netsuiteRequest.js";
+import { CircuitOpenError, describeError } from "../utils/netsuiteErrors.js";
+import { paginate, MAX_PAGE_SIZE } from "../utils/pagination.js";
+import { EXPAND_SUB_RESOURCES, expandedLines } from "../utils/sublists.js";
+import { itemTypeFromUrl } from "../utils/itemTypes.js";
+import SyncState from "../models/SyncState.js";
+
+// Supported values for the `mode` option of syncSalesOrders
+const SYNC_MODES = ["rest", "expand"];
+
+// SyncState key for the sales order cursor
+const SALES_ORDER_RECORD_TYPE = "salesOrder";
 
 // Connect to MongoDB
 await connectDB();
@@ -52,74 +63,127 @@ const parseDate = (dateString) => {
   }
 };
 
-// Function to fetch sales orders by date range
-async function fetchSalesOrders(date, limit = 10) {
-  try {
-    const syncDate = date || netsuiteConfig.syncDate;
-    const encodedDate = encodeURIComponent(syncDate);
-    const url = `${netsuiteConfig.baseUrl}/salesOrder?q=lastModifiedDate%20AFTER%20"${encodedDate}"&limit=${limit}`;
-
-    const headers = {
-      Authorization: generateOAuthHeaders(url, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+// Build the record API filter for orders modified since `start`
+// (see SyncState.resolveStart)
+function buildSalesOrderQuery(start) {
+  const operator = start.inclusive ? "ON_OR_AFTER" : "AFTER";
+  return `lastModifiedDate ${operator} "${start.date}"`;
+}
 
-    const response = await netsuiteRequest({
-      method: "GET",
-      url,
-      headers,
-      timeout: 30000
-    });
+// Function to fetch one page of sales orders matching `query`
+async function fetchSalesOrdersPage(query, offset, pageSize, account) {
+  const url = `${getAccountConfig(account).baseUrl}/salesOrder?q=${encodeURIComponent(query)}&limit=${pageSize}&offset=${offset}`;
 
-    return response.data?.items || [];
-  } catch (error) {
-    console.error("❌ Error fetching sales orders:", error.message);
-    return [];
-  }
+  const response = await netsuiteRequest({ url, account });
+
+  return {
+    items: response.data?.items || [],
+    hasMore: Boolean(response.data?.hasMore),
+    totalResults: response.data?.totalResults ?? 0
+  };
 }
 
 
 // Function to fetch inventory item details
-async function fetchInventoryItemDetails(inventoryItemUrl) {
+async function fetchInventoryItemDetails(inventoryItemUrl, account) {
   try {
-    const headers = {
-      Authorization: generateOAuthHeaders(inventoryItemUrl, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
-
-    const response = await netsuiteRequest({
-      method: "GET",
-      url: inventoryItemUrl,
-      headers,
-      timeout: 10000
-    });
+    const response = await netsuiteRequest({ url: inventoryItemUrl, timeout: 10000, account });
 
     return response.data;
   } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
     console.error(`   ❌ Error fetching inventory item details:`, error.message);
     return null;
   }
 }
 
-// Updated function to fetch sales order items with inventory details
-async function fetchSalesOrderItems(salesOrderId) {
+// Turn one order line into our item shape, with producer and region read
+// from the synced item, or else from the linked NetSuite item record
+async function transformOrderLine(itemData, account) {
+  const itemId = itemData.item?.id || itemData.line;
+  const itemUrl = itemData.item?.links?.[0]?.href;
+
+  // Initialize producer and region
+  let producer = "";
+  let region = "";
+  let itemType = itemTypeFromUrl(itemUrl) || "";
+
+  // Items of every synced type (kits, assemblies, lots, ...) are already stored
+  const storedItem = itemData.item?.id
+    ? await InventoryItem.findOne({ account, internalId: parseInt(itemData.item.id) })
+        .select("producer region itemType")
+        .lean()
+    : null;
+
+  if (storedItem) {
+    producer = storedItem.producer || "";
+    region = storedItem.region || "";
+    itemType = storedItem.itemType || itemType;
+  } else if (itemUrl) {
+    try {
+      const inventoryItemData = await fetchInventoryItemDetails(itemUrl, account);
+      
+      if (inventoryItemData) {
+        // Extract producer from custitem15.refName
+        producer = inventoryItemData.custitem15?.refName || "";
+        
+        // Extract region from custitem_region.refName
+        region = inventoryItemData.custitem_region?.refName || "";
+        
+        console.log(`   📦 Item ${itemId}: Producer=${producer}, Region=${region}`);
+      }
+    } catch (inventoryError) {
+      if (inventoryError instanceof CircuitOpenError) throw inventoryError;
+      console.error(`   ⚠️ Could not fetch inventory details for item ${itemId}:`, inventoryError.message);
+    }
+  }
+
+  return {
+    itemId: itemData.item?.id || "",
+    itemName: itemData.item?.refName || "",
+    itemType: itemType,
+    salesDescription: itemData.description || "",
+    omtisId: itemData.custcol17 || "",
+    
+    // NEW FIELDS
+    producer: producer,
+    region: region,
+    
+    quantity: itemData.quantity || 0,
+    units: itemData.units || "",
+    fulfilled: extractNumericValue(itemData, "quantityFulfilled"),
+    invoiced: extractNumericValue(itemData, "quantityBilled"),
+    available: itemData.quantityAvailable || 0,
+    priceLevel: itemData.price?.refName || "",
+    unitPrice: itemData.rate || 0,
+    total: itemData.amount || 0,
+    grossProfit: itemData.grossProfit || 0,
+    line: itemData.line || 0,
+    isClosed: itemData.isClosed || false,
+    isOpen: itemData.isOpen || false
+  };
+}
+
+// Fetch the order's item lines with inventory details. Lines already inlined
+// by expandSubResources are used as they are; otherwise the item sublist and
+// each line are fetched through the record API.
+async function fetchSalesOrderItems(salesOrder, account) {
+  const salesOrderId = salesOrder.id;
+
   try {
-    const itemsUrl = `${netsuiteConfig.baseUrl}/salesorder/${salesOrderId}/item`;
+    const expanded = expandedLines(salesOrder.item);
+    if (expanded) {
+      const items = [];
+      for (const line of expanded) {
+        items.push(await transformOrderLine(line, account));
+      }
+      return items;
+    }
 
-    const headers = {
-      Authorization: generateOAuthHeaders(itemsUrl, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
+    const { baseUrl } = getAccountConfig(account);
+    const itemsUrl = `${baseUrl}/salesorder/${salesOrderId}/item`;
 
-    const response = await netsuiteRequest({
-      method: "GET",
-      url: itemsUrl,
-      headers,
-      timeout: 15000
-    });
+    const response = await netsuiteRequest({ url: itemsUrl, timeout: 15000, account });
 
     if (!response.data?.items?.length) return [];
 
@@ -127,110 +191,45 @@ async function fetchSalesOrderItems(salesOrderId) {
 
     for (const itemRef of response.data.items) {
       const itemId = itemRef.links[0].href.split("/").pop();
-      const itemDetailUrl = `${netsuiteConfig.baseUrl}/salesorder/${salesOrderId}/item/${itemId}`;
+      const itemDetailUrl = `${baseUrl}/salesorder/${salesOrderId}/item/${itemId}`;
 
       try {
-        const itemResponse = await netsuiteRequest({
-          method: "GET",
-          url: itemDetailUrl,
-          headers: {
-            Authorization: generateOAuthHeaders(itemDetailUrl, "GET"),
-            "Content-Type": "application/json",
-            Accept: "application/json"
-          },
-          timeout: 15000
-        });
-
-        const itemData = itemResponse.data;
-
-        // Initialize producer and region
-        let producer = "";
-        let region = "";
-
-        // If there's an inventory item link, fetch details
-        if (itemData.item?.links?.[0]?.href) {
-          const inventoryItemUrl = itemData.item.links[0].href;
-          try {
-            const inventoryItemData = await fetchInventoryItemDetails(inventoryItemUrl);
-            
-            if (inventoryItemData) {
-              // Extract producer from custitem15.refName
-              producer = inventoryItemData.custitem15?.refName || "";
-              
-              // Extract region from custitem_region.refName
-              region = inventoryItemData.custitem_region?.refName || "";
-              
-              console.log(`   📦 Item ${itemId}: Producer=${producer}, Region=${region}`);
-            }
-          } catch (inventoryError) {
-            console.error(`   ⚠️ Could not fetch inventory details for item ${itemId}:`, inventoryError.message);
-          }
-        }
+        const itemResponse = await netsuiteRequest({ url: itemDetailUrl, timeout: 15000, account });
 
-        items.push({
-          itemId: itemData.item?.id || "",
-          itemName: itemData.item?.refName || "",
-          salesDescription: itemData.description || "",
-          omtisId: itemData.custcol17 || "",
-          
-          // NEW FIELDS
-          producer: producer,
-          region: region,
-          
-          quantity: itemData.quantity || 0,
-          units: itemData.units || "",
-          fulfilled: extractNumericValue(itemData, "quantityFulfilled"),
-          invoiced: extractNumericValue(itemData, "quantityBilled"),
-          available: itemData.quantityAvailable || 0,
-          priceLevel: itemData.price?.refName || "",
-          unitPrice: itemData.rate || 0,
-          total: itemData.amount || 0,
-          grossProfit: itemData.grossProfit || 0,
-          line: itemData.line || 0,
-          isClosed: itemData.isClosed || false,
-          isOpen: itemData.isOpen || false
-        });
+        items.push(await transformOrderLine(itemResponse.data, account));
       } catch (err) {
+        if (err instanceof CircuitOpenError) throw err;
         console.error(`   ❌ Error fetching item ${itemId}:`, err.message);
       }
     }
 
     return items;
   } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
     console.error("❌ Error fetching order items:", error.message);
     return [];
   }
 }
 
 
-// Function to fetch detailed sales order
-async function fetchSalesOrderDetail(salesOrderId) {
+// Function to fetch detailed sales order; with `expand` the item sublist
+// comes back inline
+async function fetchSalesOrderDetail(salesOrderId, account, { expand = false } = {}) {
   try {
-    const url = `${netsuiteConfig.baseUrl}/salesorder/${salesOrderId}`;
+    const url = `${getAccountConfig(account).baseUrl}/salesorder/${salesOrderId}${expand ? `?${EXPAND_SUB_RESOURCES}` : ""}`;
 
-    const headers = {
-      Authorization: generateOAuthHeaders(url, "GET"),
-      "Content-Type": "application/json",
-      Accept: "application/json"
-    };
-
-    const response = await netsuiteRequest({
-      method: "GET",
-      url,
-      headers,
-      timeout: 30000
-    });
+    const response = await netsuiteRequest({ url, account });
 
     return response.data;
   } catch (error) {
     console.error(`❌ Error fetching order ${salesOrderId}:`, error.message);
-    return null;
+    throw error;
   }
 }
 
 
 // Function to transform sales order data
-async function transformSalesOrderData(netSuiteData) {
+async function transformSalesOrderData(netSuiteData, account) {
   // Extract customer information directly from sales order
   const customer = {
     customerId: netSuiteData.entity?.id || '',
@@ -248,9 +247,10 @@ async function transformSalesOrderData(netSuiteData) {
   }
   
   // Fetch items
-  const items = await fetchSalesOrderItems(netSuiteData.id);
+  const items = await fetchSalesOrderItems(netSuiteData, account);
   
   return {
+    account,
     internalId: parseInt(netSuiteData.id) || 0,
     transactionNumber: netSuiteData.tranId || netSuiteData.transactionNumber || '',
     
@@ -337,26 +337,48 @@ async function transformSalesOrderData(netSuiteData) {
 }
 
 // Main function to sync sales orders
-async function syncSalesOrders(limit = 10, date = null) {
+// options.mode: "rest" fetches the item sublist line by line, "expand" requests
+// each order with its lines inline
+// options.account: NetSuite account profile to sync from (default account when omitted)
+async function syncSalesOrders(limit = 10, date = null, { mode = netsuiteConfig.salesOrderSyncMode, account = DEFAULT_ACCOUNT } = {}) {
   try {
+    if (!hasAccount(account)) {
+      return {
+        success: false,
+        error: `Unknown NetSuite account "${account}". Expected one of: ${listAccounts().join(", ")}`
+      };
+    }
+    
+    if (!SYNC_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: `Invalid sync mode "${mode}". Expected one of: ${SYNC_MODES.join(", ")}`
+      };
+    }
+    
     console.log("🚀 Starting Sales Orders Sync");
     console.log("=".repeat(50));
-    console.log(`📅 Date: ${date || netsuiteConfig.syncDate}`);
+    
+    console.log(`🏢 Account: ${account}`);
+    console.log(`⚙️  Mode: ${mode}`);
+    const start = await SyncState.resolveStart(SALES_ORDER_RECORD_TYPE, date, account);
+    console.log(`📅 Modified since: ${start.date} (${start.source})`);
     console.log(`🔢 Limit: ${limit} orders`);
     console.log("=".repeat(50));
     
-    // Step 1: Fetch sales orders
-    console.log("\n📡 Fetching sales orders...");
-    const orders = await fetchSalesOrders(date, limit);
+    const accountCalls = () => getRequestMetrics().accounts[account]?.calls || 0;
+    const callsAtStart = accountCalls();
     
-    if (orders.length === 0) {
-      console.log("\n⚠️ No sales orders to sync");
-      return { 
-        success: true, 
-        message: "No sales orders found", 
-        processed: 0, 
-        saved: 0
-      };
+    // Step 1: Walk the sales order list page by page, resuming from the
+    // saved cursor if an earlier run stopped part-way through
+    const query = buildSalesOrderQuery(start);
+    const cursor = await SyncState.getCursor(SALES_ORDER_RECORD_TYPE, query, account);
+    const startOffset = cursor?.offset || 0;
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const startedAt = cursor?.startedAt || new Date();
+    
+    if (cursor) {
+      console.log(`\n↪️  Resuming from offset ${startOffset} (last page saved ${cursor.updatedAt?.toISOString()})`);
     }
     
     // Step 2: Process orders
@@ -364,72 +386,159 @@ async function syncSalesOrders(limit = 10, date = null) {
     let savedCount = 0;
     const errors = [];
     const savedOrders = [];
+    let nextOffset = startOffset;
+    let totalResults = 0;
+    let complete = false;
+    let watermark = start.watermark || null;
+    let paused = null;
     
-    console.log(`\n🔄 Processing ${orders.length} orders...`);
+    console.log("\n📡 Fetching sales orders...");
     
-    for (const order of orders) {
-      const orderId = order.id;
-      console.log(`\n[${processedCount + 1}/${orders.length}] Order ID: ${orderId}`);
+    try {
+      for await (const page of paginate((offset, size) => fetchSalesOrdersPage(query, offset, size, account), { offset: startOffset, pageSize })) {
+        totalResults = page.totalResults;
+        const expectedCount = Math.min(limit, Math.max(totalResults - startOffset, 0));
+        let pageComplete = true;
+        let pageLastModified = null;
+        const errorsBeforePage = errors.length;
       
-      // Fetch detailed order data
-      const detailedData = await fetchSalesOrderDetail(orderId);
+        console.log(`\n🔄 Processing page at offset ${page.offset}: ${page.items.length} of ${totalResults} orders...`);
       
-      if (detailedData) {
-        // Transform data
-        const transformedData = await transformSalesOrderData(detailedData);
+        for (const order of page.items) {
+          if (processedCount >= limit) {
+            pageComplete = false;
+            break;
+          }
         
-        // Save to MongoDB
-        try {
-          await SalesOrder.findOneAndUpdate(
-            { internalId: transformedData.internalId },
-            transformedData,
-            { 
-              upsert: true, 
-              new: true, 
-              runValidators: true
-            }
-          );
+          const orderId = order.id;
+          console.log(`\n[${processedCount + 1}/${expectedCount}] Order ID: ${orderId}`);
+      
+          // Fetch detailed order data
+          let detailedData = null;
+          let fetchError = null;
+          try {
+            detailedData = await fetchSalesOrderDetail(orderId, account, { expand: mode === "expand" });
+          } catch (error) {
+            if (error instanceof CircuitOpenError) throw error;
+            fetchError = error;
+          }
+      
+          if (detailedData) {
+            // Transform data
+            const transformedData = await transformSalesOrderData(detailedData, account);
+        
+            // Save to MongoDB
+            try {
+              await SalesOrder.findOneAndUpdate(
+                { account, internalId: transformedData.internalId },
+                transformedData,
+                { 
+                  upsert: true, 
+                  new: true, 
+                  runValidators: true
+                }
+              );
           
-          savedCount++;
-          savedOrders.push(transformedData);
+              savedCount++;
+              savedOrders.push(transformedData);
+            
+              if (transformedData.lastModifiedDate > pageLastModified) {
+                pageLastModified = transformedData.lastModifiedDate;
+              }
           
-          console.log(`✅ Saved order ${orderId}`);
-          console.log(`   👤 Customer: ${transformedData.customer.customerName}`);
-          console.log(`   📅 Date: ${transformedData.orderDate?.toISOString().split('T')[0] || 'N/A'}`);
-          console.log(`   💰 Total: ${transformedData.totalAmount.toFixed(2)}`);
-          console.log(`   📦 Items: ${transformedData.items.length}`);
-
-          // Add inventory details summary
-if (transformedData.items.length > 0) {
-  const itemsWithProducer = transformedData.items.filter(item => item.producer).length;
-  const itemsWithRegion = transformedData.items.filter(item => item.region).length;
-  
-  console.log(`   🏭 Items with producer: ${itemsWithProducer}/${transformedData.items.length}`);
-  console.log(`   🌍 Items with region: ${itemsWithRegion}/${transformedData.items.length}`);
-}
+              console.log(`✅ Saved order ${orderId}`);
+              console.log(`   👤 Customer: ${transformedData.customer.customerName}`);
+              console.log(`   📅 Date: ${transformedData.orderDate?.toISOString().split('T')[0] || 'N/A'}`);
+              console.log(`   💰 Total: ${transformedData.totalAmount.toFixed(2)}`);
+              console.log(`   📦 Items: ${transformedData.items.length}`);
+
+              // Add inventory details summary
+              if (transformedData.items.length > 0) {
+                const itemsWithProducer = transformedData.items.filter(item => item.producer).length;
+                const itemsWithRegion = transformedData.items.filter(item => item.region).length;
+            
+                console.log(`   🏭 Items with producer: ${itemsWithProducer}/${transformedData.items.length}`);
+                console.log(`   🌍 Items with region: ${itemsWithRegion}/${transformedData.items.length}`);
+              }
           
-        } catch (dbError) {
-          console.error(`❌ Error saving order ${orderId}:`, dbError.message);
-          errors.push({ orderId, error: dbError.message });
+            } catch (dbError) {
+              console.error(`❌ Error saving order ${orderId}:`, dbError.message);
+              errors.push({ orderId, error: dbError.message });
+            }
+          } else {
+            console.error(`❌ Failed to fetch order ${orderId}`);
+            errors.push({ orderId, ...describeError(fetchError) });
+          }
+      
+          processedCount++;
         }
-      } else {
-        console.error(`❌ Failed to fetch order ${orderId}`);
-        errors.push({ orderId, error: "Failed to fetch details" });
-      }
       
-      processedCount++;
+        // A page only counts as done once every order on it has been processed
+        if (!pageComplete) break;
+      
+        nextOffset = page.nextOffset;
+        complete = !page.hasMore;
       
-      // Add delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
+        if (pageLastModified) {
+          await SyncState.raisePendingWatermark(SALES_ORDER_RECORD_TYPE, pageLastModified, account);
+        }
+        // Failed orders hold the watermark back until a walk gets them through
+        if (errors.length > errorsBeforePage) {
+          await SyncState.recordPendingFailures(SALES_ORDER_RECORD_TYPE, errors.length - errorsBeforePage, account);
+        }
+      
+        if (complete) {
+          await SyncState.clearCursor(SALES_ORDER_RECORD_TYPE, account);
+          watermark = await SyncState.commitWatermark(SALES_ORDER_RECORD_TYPE, account);
+        } else {
+          await SyncState.saveCursor(SALES_ORDER_RECORD_TYPE, {
+            query,
+            offset: nextOffset,
+            pageSize,
+            totalResults,
+            startedAt
+          }, account);
+        }
+      
+        if (processedCount >= limit) break;
+      }
+    } catch (error) {
+      // NetSuite stayed down past the circuit breaker's maximum pause. Pages
+      // finished so far are saved in the cursor, so the next run resumes here.
+      if (!(error instanceof CircuitOpenError)) throw error;
+      paused = { reason: error.message, retryAt: error.retryAt };
+      console.error(`\n⏸️  Sync paused: ${error.message}`);
     }
     
+    if (processedCount === 0 && !paused) {
+      console.log("\n⚠️ No sales orders to sync");
+      return { 
+        success: true, 
+        message: "No sales orders found", 
+        account,
+        processed: 0, 
+        saved: 0,
+        complete,
+        syncStart: start
+      };
+    }
+    
+    const netsuiteCalls = accountCalls() - callsAtStart;
+    const callStats = await SyncState.recordCallStats(SALES_ORDER_RECORD_TYPE, mode, { records: processedCount, calls: netsuiteCalls }, account);
+    
     // Generate summary
     console.log("\n" + "=".repeat(50));
-    console.log("📊 SYNC COMPLETE");
+    console.log(`📊 ${paused ? "SYNC PAUSED" : "SYNC COMPLETE"}`);
     console.log("=".repeat(50));
     console.log(`✅ Processed: ${processedCount}`);
     console.log(`✅ Saved: ${savedCount}`);
     console.log(`❌ Failed: ${errors.length}`);
+    console.log(`📡 NetSuite calls: ${netsuiteCalls} (${callStats[mode]?.callsPerRecord ?? "-"} per order)`);
+    
+    for (const [otherMode, stats] of Object.entries(callStats)) {
+      if (otherMode === mode) continue;
+      console.log(`   Latest ${otherMode} run: ${stats.callsPerRecord} per order (${stats.calls} calls for ${stats.records} orders)`);
+    }
     
     if (savedOrders.length > 0) {
       const totalAmount = savedOrders.reduce((sum, order) => sum + order.totalAmount, 0);
@@ -443,22 +552,40 @@ if (transformedData.items.length > 0) {
     }
     
     return {
-      success: true,
+      success: !paused,
+      account,
+      mode,
       processed: processedCount,
       saved: savedCount,
       failed: errors.length,
+      netsuiteCalls,
+      callsPerRecord: callStats[mode]?.callsPerRecord ?? null,
+      // Latest calls per order for every mode run on this account
+      callComparison: callStats,
+      pagination: {
+        resumedFrom: startOffset,
+        nextOffset,
+        totalResults,
+        complete
+      },
+      syncStart: start,
+      watermark,
+      // Set when NetSuite was unavailable; rerun after retryAt to resume from the cursor
+      paused,
+      error: paused ? paused.reason : undefined,
       summary: savedOrders.length > 0 ? {
         totalAmount: savedOrders.reduce((sum, order) => sum + order.totalAmount, 0),
         totalOrders: savedOrders.length,
         totalItems: savedOrders.reduce((sum, order) => sum + order.items.length, 0)
-      } : null
+      } : null,
+      errors: errors.length > 0 ? errors : undefined
     };
     
   } catch (error) {
     console.error("\n💥 Error in sync:", error.message);
     return {
       success: false,
-      error: error.message
+      ...describeError(error)
     };
   }
 }
@@ -510,11 +637,17 @@ if (process.argv[1] === new URL(import.meta.url).pathname) {
     console.log("🔧 Sales Orders Sync Script");
     console.log("=".repeat(50));
     
-    const limit = process.argv[2] ? parseInt(process.argv[2]) : 10;
-    const date = process.argv[3] || null;
+    // [limit] [date] [--mode=rest|expand] [--account=name]
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+    const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+    const limit = args[0] ? parseInt(args[0]) : 10;
+    const date = args[1] || null;
+    const mode = modeArg ? modeArg.split('=')[1] : netsuiteConfig.salesOrderSyncMode;
+    const account = accountArg ? accountArg.split('=')[1] : DEFAULT_ACCOUNT;
     
     await checkExistingSalesOrders();
-    await syncSalesOrders(limit, date);
+    await syncSalesOrders(limit, date, { mode, account });
     await checkExistingSalesOrders();
     
     console.log("\n✅ Done!");
@@ -0,0 +1,164 @@
+// scripts/syncState.js
+import SyncState, { SYNC_RECORD_TYPES } from "../models/SyncState.js";
+import { connectDB } from "../config/db.js";
+import { hasAccount, listAccounts, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+
+// Print one record type's sync state
+async function showState(recordType, account = DEFAULT_ACCOUNT) {
+  const state = await SyncState.findOne({ account, recordType });
+  const nextStart = await SyncState.resolveStart(recordType, null, account);
+
+  console.log(`\n📌 ${account} / ${recordType}`);
+  console.log("-".repeat(30));
+  console.log(`Watermark: ${state?.watermark ? state.watermark.toISOString() : 'None'}`);
+  console.log(`Pending watermark: ${state?.pendingWatermark ? state.pendingWatermark.toISOString() : 'None'}`);
+  console.log(`Pending failures: ${state?.pendingFailures || 0}`);
+  console.log(`Last completed: ${state?.lastCompletedAt ? state.lastCompletedAt.toLocaleString() : 'Never'}`);
+
+  if (state?.cursor) {
+    console.log(`Cursor: offset ${state.cursor.offset} of ${state.cursor.totalResults} (saved ${state.cursor.updatedAt?.toLocaleString()})`);
+  } else {
+    console.log(`Cursor: None`);
+  }
+
+  console.log(`Next run starts: ${nextStart.inclusive ? 'on or after' : 'after'} ${nextStart.date} (${nextStart.source})`);
+
+  return { success: true, data: state };
+}
+
+// Rewind (or advance) a record type's watermark
+async function rewindState(recordType, dateArg, account = DEFAULT_ACCOUNT) {
+  const watermark = new Date(dateArg);
+  if (!dateArg || isNaN(watermark.getTime())) {
+    throw new Error(`Invalid date: ${dateArg}. Use an ISO date such as 2025-01-01`);
+  }
+
+  await SyncState.setWatermark(recordType, watermark, account);
+  console.log(`✅ Watermark for ${account}/${recordType} set to ${watermark.toISOString()}`);
+
+  return showState(recordType, account);
+}
+
+// Clear a record type's watermark and cursor
+async function resetState(recordType, account = DEFAULT_ACCOUNT) {
+  await SyncState.reset(recordType, account);
+  console.log(`✅ Sync state for ${account}/${recordType} reset`);
+
+  return showState(recordType, account);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const accountArg = process.argv.find(arg => arg.startsWith('--account='));
+  const account = accountArg ? accountArg.split('=')[1] : undefined;
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--account='));
+
+  if (args.length === 0) {
+    return { mode: 'show', account };
+  }
+
+  if (args[0] === '--help' || args[0] === '-h') {
+    return { mode: 'help' };
+  }
+
+  if (args[0] === '--reset' || args[0] === '-r') {
+    return { mode: 'reset', recordType: args[1], account };
+  }
+
+  if (args[0] === '--rewind' || args[0] === '-w') {
+    return { mode: 'rewind', recordType: args[1], date: args[2], account };
+  }
+
+  return { mode: 'show', recordType: args[0], account };
+}
+
+// Display help
+function showHelp() {
+  console.log(`
+📌 NetSuite Sync State Tool
+=====================================
+
+Usage:
+  node scripts/syncState.js                          Show all sync states
+  node scripts/syncState.js <recordType>             Show one record type
+  node scripts/syncState.js --rewind <type> <date>   Set the watermark to <date>
+  node scripts/syncState.js --reset <type>           Clear watermark and cursor
+
+Options:
+  --account=<name>   NetSuite account profile (show: all accounts, otherwise ${DEFAULT_ACCOUNT})
+
+Record types:
+  ${SYNC_RECORD_TYPES.join(", ")}
+
+Accounts:
+  ${listAccounts().join(", ")}
+
+Examples:
+  node scripts/syncState.js inventoryItem
+  node scripts/syncState.js --rewind salesOrder 2025-01-01
+  node scripts/syncState.js --reset inventoryItem
+  node scripts/syncState.js --reset inventoryItem --account=production
+  `);
+}
+
+// Main execution
+async function main() {
+  try {
+    const args = parseArgs();
+
+    if (args.mode === 'help') {
+      showHelp();
+      process.exit(0);
+    }
+
+    if (args.recordType && !SYNC_RECORD_TYPES.includes(args.recordType)) {
+      console.error(`❌ Error: Unknown record type "${args.recordType}"`);
+      showHelp();
+      process.exit(1);
+    }
+
+    if (args.account && !hasAccount(args.account)) {
+      console.error(`❌ Error: Unknown account "${args.account}"`);
+      showHelp();
+      process.exit(1);
+    }
+
+    if (args.mode !== 'show' && !args.recordType) {
+      console.error('❌ Error: Record type is required');
+      showHelp();
+      process.exit(1);
+    }
+
+    await connectDB();
+
+    switch (args.mode) {
+      case 'show':
+        for (const account of args.account ? [args.account] : listAccounts()) {
+          for (const recordType of args.recordType ? [args.recordType] : SYNC_RECORD_TYPES) {
+            await showState(recordType, account);
+          }
+        }
+        break;
+      case 'rewind':
+        await rewindState(args.recordType, args.date, args.account);
+        break;
+      case 'reset':
+        await resetState(args.recordType, args.account);
+        break;
+    }
+
+    console.log('\n🏁 Operation completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Script failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
+
+export { showState, rewindState, resetState };
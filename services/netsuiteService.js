@@ -1,43 +1,14 @@
-import axios from "axios";
-import OAuth from "oauth-1.0a";
-import CryptoJS from "crypto-js";
 import querystring from "querystring";
+import { getAccountConfig, DEFAULT_ACCOUNT } from "../config/netsuite.js";
+import { netsuiteRequest } from "../utils/netsuiteRequest.js";
+import { applyPriceRules, emptyPriceData, toPriceEntry } from "../utils/pricing.js";
 
+// Signing, rate limiting and retries are handled by the shared NetSuite
+// client, so this service only builds URLs and shapes responses.
 class NetSuiteService {
-  constructor() {
-    this.accountId = process.env.NETSUITE_ACCOUNT_ID;
-    this.consumerKey = process.env.NETSUITE_CONSUMER_KEY;
-    this.consumerSecret = process.env.NETSUITE_CONSUMER_SECRET;
-    this.tokenKey = process.env.NETSUITE_TOKEN_KEY;
-    this.tokenSecret = process.env.NETSUITE_TOKEN_SECRET;
-    this.restApiUrl = process.env.NETSUITE_REST_API_URL;
-
-    // Initialize OAuth 1.0a
-    this.oauth = OAuth({
-      consumer: {
-        key: this.consumerKey,
-        secret: this.consumerSecret,
-      },
-      signature_method: "HMAC-SHA256",
-      realm: this.accountId,
-      hash_function(base_string, key) {
-        return CryptoJS.HmacSHA256(base_string, key).toString(CryptoJS.enc.Base64);
-      },
-    });
-
-    this.token = {
-      key: this.tokenKey,
-      secret: this.tokenSecret,
-    };
-  }
-
-  // Generate OAuth headers for request
-  generateHeaders(url, method = "GET") {
-    const request_data = { url, method };
-    const headers = this.oauth.toHeader(this.oauth.authorize(request_data, this.token));
-    headers["Content-Type"] = "application/json";
-    headers["Accept"] = "application/json";
-    return headers;
+  constructor(account = DEFAULT_ACCOUNT) {
+    this.account = account;
+    this.baseUrl = getAccountConfig(account).baseUrl;
   }
 
   // Encode query string properly
@@ -52,45 +23,34 @@ class NetSuiteService {
 
   // Get all inventory items with pagination support
   async getAllInventoryItems(query = 'lastModifiedDate AFTER "10/04/2024"', limit = 1000, offset = 0) {
-    const baseUrl = `${this.restApiUrl}/services/rest/record/v1/inventoryItem`;
+    const baseUrl = `${this.baseUrl}/inventoryItem`;
     const queryParams = { q: query, limit, offset };
     
     const encodedQueryString = this.encodeQueryString(queryParams);
     const fullUrl = `${baseUrl}?${encodedQueryString}`;
-    const headers = this.generateHeaders(fullUrl, "GET");
 
     try {
-      const response = await axios({
-        url: fullUrl,
-        method: "GET",
-        headers,
-        timeout: 30000, // 30 seconds timeout
-      });
+      const response = await netsuiteRequest({ url: fullUrl, account: this.account });
       console.log("data->", response.data)
       return response.data;
     } catch (error) {
       console.error("❌ Error fetching inventory items:", error.response?.data || error.message);
-      throw new Error(`Failed to fetch inventory items: ${error.message}`);
+      // Keep the typed NetSuiteError (utils/netsuiteErrors.js) for the caller
+      throw error;
     }
   }
 
   // Get inventory item by ID
   async getInventoryItemById(itemId) {
-    const url = `${this.restApiUrl}/services/rest/record/v1/inventoryitem/${itemId}`;
-    const headers = this.generateHeaders(url, "GET");
+    const url = `${this.baseUrl}/inventoryitem/${itemId}`;
 
     try {
-      const response = await axios({
-        url,
-        method: "GET",
-        headers,
-        timeout: 30000,
-      });
+      const response = await netsuiteRequest({ url, account: this.account });
       
       return response.data;
     } catch (error) {
       console.error(`❌ Error fetching item ${itemId}:`, error.response?.data || error.message);
-      throw new Error(`Failed to fetch item ${itemId}: ${error.message}`);
+      throw error;
     }
   }
 
@@ -112,11 +72,6 @@ class NetSuiteService {
         offset += limit;
         
         console.log(`✅ Fetched ${allItems.length} of ${data.totalResults} items`);
-        
-        // Add a small delay to avoid rate limiting
-        if (hasMore) {
-          await this.delay(100);
-        }
       } catch (error) {
         console.error("❌ Error in pagination:", error.message);
         hasMore = false;
@@ -129,16 +84,10 @@ class NetSuiteService {
 
   // Get price information for an item
   async getItemPrices(itemId) {
-    const priceUrl = `${this.restApiUrl}/services/rest/record/v1/inventoryitem/${itemId}/price`;
-    const headers = this.generateHeaders(priceUrl, "GET");
+    const priceUrl = `${this.baseUrl}/inventoryitem/${itemId}/price`;
 
     try {
-      const response = await axios({
-        url: priceUrl,
-        method: "GET",
-        headers,
-        timeout: 30000,
-      });
+      const response = await netsuiteRequest({ url: priceUrl, account: this.account });
       
       return response.data;
     } catch (error) {
@@ -149,15 +98,8 @@ class NetSuiteService {
 
   // Get price details from specific price URL
   async getPriceDetails(priceUrl) {
-    const headers = this.generateHeaders(priceUrl, "GET");
-
     try {
-      const response = await axios({
-        url: priceUrl,
-        method: "GET",
-        headers,
-        timeout: 30000,
-      });
+      const response = await netsuiteRequest({ url: priceUrl, account: this.account });
       
       return response.data;
     } catch (error) {
@@ -166,66 +108,34 @@ class NetSuiteService {
     }
   }
 
-   // Extract price and currency from item prices
-  async extractPriceAndCurrency(itemId) {
+  // Extract the price matrix from item prices, with the trade, retail and
+  // display prices picked by config/priceRules.json
+  async extractPriceAndCurrency(itemId, itemCurrency = null) {
     try {
       const priceData = await this.getItemPrices(itemId);
       
       if (!priceData || !priceData.items || priceData.items.length === 0) {
-        return { price: 0, currency: "HKD" };
+        return emptyPriceData(itemCurrency);
       }
 
-      let finalPrice = 0;
-      let finalCurrency = "HKD";
-      let hasPrice = false;
+      const priceMatrix = [];
 
       // Fetch price details for each price item
       for (const priceItem of priceData.items) {
         if (priceItem.links && priceItem.links[0] && priceItem.links[0].href) {
           const priceDetail = await this.getPriceDetails(priceItem.links[0].href);
-          
-          if (priceDetail && priceDetail.priceLevelName) {
-            // Check if this is one of the price levels we're interested in
-            if (priceDetail.priceLevelName === "LPCP (HKD)") {
-              finalPrice = priceDetail.price || 0;
-              finalCurrency = "HKD";
-              hasPrice = true;
-              console.log(`💰 Found LPCP price for item ${itemId}: ${finalPrice} ${finalCurrency}`);
-              break; // Found our primary price, stop looking
-            } 
-            else if (priceDetail.priceLevelName === "EP Price (EUR)") {
-              // Only use EP Price if we haven't found LPCP yet
-              if (!hasPrice) {
-                finalPrice = priceDetail.price || 0;
-                finalCurrency = "EUR";
-                hasPrice = true;
-                console.log(`💰 Found EP Price for item ${itemId}: ${finalPrice} ${finalCurrency}`);
-                // Don't break, keep looking for LPCP which has priority
-              }
-            }
-          }
+          if (priceDetail) priceMatrix.push(toPriceEntry(priceDetail, itemCurrency));
         }
       }
 
-      // If we didn't find either price level, use the first available price
-      if (!hasPrice && priceData.items.length > 0) {
-        const firstPriceItem = priceData.items[0];
-        if (firstPriceItem.links && firstPriceItem.links[0] && firstPriceItem.links[0].href) {
-          const priceDetail = await this.getPriceDetails(firstPriceItem.links[0].href);
-          if (priceDetail && priceDetail.price) {
-            finalPrice = priceDetail.price;
-            console.log(`💰 Using first available price for item ${itemId}: ${finalPrice}`);
-          }
-        }
+      const prices = applyPriceRules(priceMatrix, itemCurrency);
+      if (prices.price > 0) {
+        console.log(`💰 ${prices.priceLevel} price for item ${itemId}: ${prices.price} ${prices.currency}`);
       }
-
-      return { 
-        price: finalPrice, 
-        currency: finalCurrency 
-      };
+      return prices;
     } catch (error) {
       console.error(`❌ Error extracting price for item ${itemId}:`, error.message);
-      return { price: 0, currency: "HKD" };
+      return emptyPriceData(itemCurrency);
     }
   }
 
@@ -241,15 +151,12 @@ class NetSuiteService {
       }
 
       // Get price data
-      const { price, currency } = await this.extractPriceAndCurrency(itemId);
+      const priceData = await this.extractPriceAndCurrency(itemId, itemData.currency);
       
-      // Add price and currency to item data
+      // Add prices and the price matrix to item data
       return {
         ...itemData,
-        priceData: {
-          price,
-          currency
-        }
+        priceData
       };
     } catch (error) {
       console.error(`❌ Error fetching item ${itemId} with price:`, error.message);
@@ -285,22 +192,11 @@ class NetSuiteService {
           errors.push({ itemId: result.itemId, error: result.error });
         }
       });
-
-      // Delay between batches to respect rate limits
-      if (i + batchSize < itemIds.length) {
-        await this.delay(500); // Increased delay for price calls
-      }
     }
 
     return { results, errors };
   }
 
-
-  // Utility: Delay function
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   // Batch get items by IDs with rate limiting
   async batchGetItems(itemIds, batchSize = 5) {
     const results = [];
@@ -329,15 +225,18 @@ class NetSuiteService {
           errors.push({ itemId: result.itemId, error: result.error });
         }
       });
-
-      // Delay between batches to respect rate limits
-      if (i + batchSize < itemIds.length) {
-        await this.delay(200);
-      }
     }
 
     return { results, errors };
   }
 }
 
-export default new NetSuiteService();
+const services = new Map();
+
+// Service bound to a named account profile
+export const forAccount = (account = DEFAULT_ACCOUNT) => {
+  if (!services.has(account)) services.set(account, new NetSuiteService(account));
+  return services.get(account);
+};
+
+export default forAccount();
@@ -0,0 +1,114 @@
+import Bottleneck from "bottleneck";
+
+// =========================
+// Adaptive NetSuite Rate Limiter
+// =========================
+// A Bottleneck limiter whose concurrency and spacing follow NetSuite's
+// responses: throttling halves concurrency and doubles the gap between
+// requests, and a run of healthy responses steps both back towards the
+// account's limits (additive increase, multiplicative decrease).
+
+// Healthy responses needed before speeding up one step
+const SUCCESS_STREAK = 10;
+
+// Several in-flight requests are usually throttled together; count them as
+// one signal instead of backing off once per response
+const BACKOFF_COOLDOWN_MS = 2000;
+
+// Window used to report throughput
+const THROUGHPUT_WINDOW_MS = 60 * 1000;
+
+export function createAdaptiveLimiter(config) {
+  const limits = {
+    maxConcurrent: config.concurrencyLimit,
+    minTimeFloor: config.minTimeFloor,
+    minTimeCeiling: config.minTimeCeiling
+  };
+
+  let maxConcurrent = Math.min(config.maxConcurrent, limits.maxConcurrent);
+  let minTime = config.minTime;
+  let successStreak = 0;
+  let lastBackoffAt = 0;
+  let throttledCount = 0;
+  let adjustments = 0;
+  const completedAt = [];
+
+  const limiter = new Bottleneck({ maxConcurrent, minTime });
+
+  const apply = (reason) => {
+    adjustments++;
+    limiter.updateSettings({ maxConcurrent, minTime });
+    console.log(`🎚️  NetSuite limiter (${config.name}) ${reason}: concurrency ${maxConcurrent}, min gap ${minTime} ms`);
+  };
+
+  const recordCompletion = () => {
+    const now = Date.now();
+    completedAt.push(now);
+    while (completedAt.length > 0 && completedAt[0] <= now - THROUGHPUT_WINDOW_MS) {
+      completedAt.shift();
+    }
+  };
+
+  return {
+    schedule(task) {
+      return limiter.schedule(task);
+    },
+
+    // A healthy response; speed up after a long enough streak
+    onSuccess() {
+      recordCompletion();
+      successStreak++;
+      if (successStreak < SUCCESS_STREAK) return;
+      successStreak = 0;
+
+      const nextConcurrent = Math.min(maxConcurrent + 1, limits.maxConcurrent);
+      const nextMinTime = Math.max(Math.floor(minTime * 0.75), limits.minTimeFloor);
+      if (nextConcurrent === maxConcurrent && nextMinTime === minTime) return;
+
+      maxConcurrent = nextConcurrent;
+      minTime = nextMinTime;
+      apply("speeding up");
+    },
+
+    // A 429 or CONCURRENCY_LIMIT_EXCEEDED response; back off
+    onThrottle() {
+      recordCompletion();
+      throttledCount++;
+      successStreak = 0;
+
+      const now = Date.now();
+      if (now - lastBackoffAt < BACKOFF_COOLDOWN_MS) return;
+      lastBackoffAt = now;
+
+      maxConcurrent = Math.max(1, Math.floor(maxConcurrent / 2));
+      minTime = Math.min(Math.max(minTime * 2, limits.minTimeFloor), limits.minTimeCeiling);
+      apply("backing off");
+    },
+
+    // Any other completed call (errors that say nothing about load)
+    onComplete() {
+      recordCompletion();
+    },
+
+    counts() {
+      return limiter.counts();
+    },
+
+    status() {
+      const counts = limiter.counts();
+      const windowStart = Date.now() - THROUGHPUT_WINDOW_MS;
+      const recent = completedAt.filter(at => at > windowStart).length;
+
+      return {
+        maxConcurrent,
+        minTimeMs: minTime,
+        concurrencyLimit: limits.maxConcurrent,
+        callsPerMinute: recent,
+        throttled: throttledCount,
+        adjustments,
+        queued: counts.QUEUED,
+        running: counts.EXECUTING
+      };
+    }
+  };
+}
@@ -0,0 +1,90 @@
+import { CircuitOpenError } from "./netsuiteErrors.js";
+
+// =========================
+// NetSuite Circuit Breaker
+// =========================
+// Counts consecutive transient failures per account. Once they reach
+// config.circuitFailureThreshold the circuit opens and every request waits
+// (the sync pauses) instead of failing item after item. After the cooldown a
+// single probe request is let through: success closes the circuit, another
+// failure reopens it with a doubled cooldown. Once the outage has lasted
+// longer than config.circuitMaxPause, waiting requests give up with a
+// CircuitOpenError (probes still go out after each cooldown).
+
+const POLL_INTERVAL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createCircuitBreaker(config) {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let cooldown = config.circuitCooldown;
+  let openedAt = null;
+  let outageStartedAt = null;
+  let probeInFlight = false;
+  let openings = 0;
+
+  const open = () => {
+    state = "open";
+    openedAt = Date.now();
+    outageStartedAt ??= openedAt;
+    probeInFlight = false;
+    openings++;
+    console.error(`🔌 NetSuite circuit open for ${config.name} after ${consecutiveFailures} failures – pausing requests for ${Math.round(cooldown / 1000)} s`);
+  };
+
+  return {
+    // Wait until a request may go out; resolves immediately while closed
+    async acquire() {
+      while (state !== "closed") {
+        if (state === "open" && Date.now() >= openedAt + cooldown) {
+          state = "half-open";
+        }
+        if (state === "half-open" && !probeInFlight) {
+          probeInFlight = true;
+          console.log(`🔌 NetSuite circuit half-open for ${config.name} – sending a probe request`);
+          return;
+        }
+        if (Date.now() - outageStartedAt >= config.circuitMaxPause) {
+          throw new CircuitOpenError(config.name, new Date(openedAt + cooldown));
+        }
+        await sleep(POLL_INTERVAL_MS);
+      }
+    },
+
+    // NetSuite answered (any non-transient outcome, including 4xx)
+    onSuccess() {
+      consecutiveFailures = 0;
+      if (state === "closed") return;
+
+      console.log(`🔌 NetSuite circuit closed for ${config.name} – resuming requests`);
+      state = "closed";
+      cooldown = config.circuitCooldown;
+      openedAt = null;
+      outageStartedAt = null;
+      probeInFlight = false;
+    },
+
+    // A transient server or network failure
+    onFailure() {
+      consecutiveFailures++;
+
+      if (state === "half-open") {
+        cooldown = Math.min(cooldown * 2, config.circuitMaxPause);
+        open();
+      } else if (state === "closed" && consecutiveFailures >= config.circuitFailureThreshold) {
+        open();
+      }
+    },
+
+    status() {
+      return {
+        state,
+        consecutiveFailures,
+        openings,
+        outageStartedAt: outageStartedAt ? new Date(outageStartedAt).toISOString() : null,
+        retryAt: state === "closed" ? null : new Date(openedAt + cooldown).toISOString()
+      };
+    }
+  };
+}
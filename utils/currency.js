@@ -0,0 +1,135 @@
+import { netsuiteConfig } from "../config/netsuite.js";
+import { runSuiteQLAll } from "./suiteql.js";
+import { CircuitOpenError } from "./netsuiteErrors.js";
+
+// =========================
+// Currency Conversion
+// =========================
+// Amounts are stored in the currency NetSuite gave them (item price levels,
+// sales order currency). Reports convert them into the reporting currency
+// (REPORTING_CURRENCY, or ?currency= on the API) using the exchange rates
+// synced from NetSuite currencyRate records (models/ExchangeRate.js).
+//
+// A rate says 1 unit of `currency` is worth `rate` units of `baseCurrency`.
+// Currencies without a direct rate are converted through the base currencies
+// they share, e.g. EUR -> HKD -> USD.
+
+// Codes of currency names that do not contain one ("Hong Kong Dollar"),
+// read from NetSuite's currency records by loadCurrencyCodes
+const codesByName = new Map();
+
+// Three-letter code of a currency name such as "HKD", "Euro (EUR)" or a name
+// loadCurrencyCodes has seen; null when the code is not known, so callers
+// fall back to a known currency instead of storing the name
+export const currencyCode = (name) => {
+  if (!name) return null;
+  return name.match(/\b[A-Z]{3}\b/)?.[0] || codesByName.get(name.trim()) || null;
+};
+
+// Learn the code (symbol) of every currency record of an account. Without
+// SuiteQL access names without a code keep resolving to null.
+export async function loadCurrencyCodes(account) {
+  try {
+    const rows = await runSuiteQLAll("SELECT name, symbol FROM currency", { account });
+    for (const row of rows) {
+      if (row.name && /^[A-Z]{3}$/.test(row.symbol || "")) codesByName.set(row.name.trim(), row.symbol);
+    }
+    return codesByName.size;
+  } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
+    console.error(`⚠️ Could not read currency codes for ${account}:`, error.message);
+    return codesByName.size;
+  }
+}
+
+// Reporting currency from a request parameter, or the configured default.
+// Returns null for something that is not a currency code.
+export function resolveReportingCurrency(requested) {
+  const code = (requested || netsuiteConfig.reportingCurrency).trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+// Factor that converts an amount in each reachable currency into `to`, keyed
+// by currency code and by the NetSuite names seen on the rates
+export function conversionFactors(rates, to) {
+  const edges = [];
+  const names = new Map();
+
+  for (const { baseCurrency, currency, rate, baseCurrencyName, currencyName } of rates) {
+    if (!(rate > 0)) continue;
+    edges.push({ from: currency, to: baseCurrency, factor: rate });
+    edges.push({ from: baseCurrency, to: currency, factor: 1 / rate });
+    if (currencyName) names.set(currencyName, currency);
+    if (baseCurrencyName) names.set(baseCurrencyName, baseCurrency);
+  }
+
+  const factors = { [to]: 1 };
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const edge of edges) {
+      if (factors[edge.from] === undefined && factors[edge.to] !== undefined) {
+        factors[edge.from] = edge.factor * factors[edge.to];
+        added = true;
+      }
+    }
+  }
+
+  for (const [name, code] of names) {
+    if (factors[code] !== undefined && factors[name] === undefined) factors[name] = factors[code];
+  }
+
+  return factors;
+}
+
+// Converter into `to`. convert(amount, from) returns null when there is no
+// rate for `from`; those currencies are listed in `missing`.
+export function createConverter(to, factors) {
+  const missing = new Set();
+
+  const convert = (amount, from) => {
+    if (amount === null || amount === undefined) return amount;
+    const factor = factors[from] ?? factors[currencyCode(from)];
+    if (factor === undefined) {
+      missing.add(from || "(none)");
+      return null;
+    }
+    return Math.round(amount * factor * 100) / 100;
+  };
+
+  return { currency: to, factors, convert, missing };
+}
+
+// MongoDB expression converting the number at `amountPath` from the currency
+// at `currencyPath` (e.g. "$totalAmount", "$currency.name"); null without a rate
+export const convertExpression = (amountPath, currencyPath, factors) => ({
+  $multiply: [
+    amountPath,
+    {
+      $switch: {
+        branches: Object.entries(factors).map(([currency, factor]) => ({
+          case: { $eq: [currencyPath, currency] },
+          then: factor
+        })),
+        default: null
+      }
+    }
+  ]
+});
+
+// $group fields counting the documents an amount expression could not convert
+export const unconvertedAccumulators = (amount, currencyPath) => ({
+  unconvertedCount: { $sum: { $cond: [{ $eq: [amount, null] }, 1, 0] } },
+  unconvertedCurrencies: { $addToSet: { $cond: [{ $eq: [amount, null] }, currencyPath, "$$REMOVE"] } }
+});
+
+// Price fields of an inventory item in the converter's currency
+export function convertItemPrices(item, { currency, convert }) {
+  return {
+    currency,
+    price: convert(item.price, item.currency),
+    tradePrice: convert(item.pricing?.tradePrice, item.pricing?.tradeCurrency || item.currency),
+    retailPrice: convert(item.pricing?.retailPrice, item.pricing?.retailCurrency || item.currency)
+  };
+}
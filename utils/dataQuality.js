@@ -0,0 +1,223 @@
+import fs from "fs";
+import { netsuiteConfig } from "../config/netsuite.js";
+
+// =========================
+// Data-Quality Rules
+// =========================
+// Synced items are checked against the rules in config/dataQualityRules.json
+// (DATA_QUALITY_RULES_FILE). Each rule has an `id`, a `description`, a
+// `type`, an optional `weight` (default 1) and the settings of its type;
+// fields are item paths such as "vintage" or "pricing.retailPrice":
+//
+//   required  { fields }                     strings are not blank
+//   positive  { fields }                     numbers are above 0
+//   pattern   { field, pattern, flags? }     non-empty value matches the regex
+//   notBelow  { field, than, sameCurrency? } field >= than when both are set
+//                                            and the `sameCurrency` fields agree
+//
+// In `sameCurrency`, "base" stands for the subsidiary base currency
+// (BASE_CURRENCY), which amounts such as averageCost are held in.
+//
+// A rule scores 0 to 1 per item (`required` and `positive` give partial
+// credit per field) or does not apply. An item's score is the weighted
+// average of the rules that apply, from 0 to 100.
+
+const valueAt = (item, path) => path.split(".").reduce((value, key) => value?.[key], item);
+
+// `sameCurrency` entry for the base currency rather than an item field
+export const BASE_CURRENCY_FIELD = "base";
+
+const currencyAt = (item, path) => path === BASE_CURRENCY_FIELD ? netsuiteConfig.baseCurrency : valueAt(item, path);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+
+const RULE_TYPES = {
+  required: {
+    settings: ["fields"],
+    check: (rule, item) => {
+      const missing = rule.fields.filter(field => isBlank(valueAt(item, field)));
+      return {
+        score: 1 - missing.length / rule.fields.length,
+        message: missing.length > 0 ? `Missing ${missing.join(", ")}` : ""
+      };
+    }
+  },
+  positive: {
+    settings: ["fields"],
+    check: (rule, item) => {
+      const failing = rule.fields.filter(field => !(Number(valueAt(item, field)) > 0));
+      return {
+        score: 1 - failing.length / rule.fields.length,
+        message: failing.map(field => `${field} is ${valueAt(item, field) ?? "empty"}`).join(", ")
+      };
+    }
+  },
+  pattern: {
+    settings: ["field", "pattern"],
+    check: (rule, item) => {
+      const value = valueAt(item, rule.field);
+      // Empty values are left to `required` rules
+      if (isBlank(value)) return null;
+      const matches = rule.regex.test(String(value).trim());
+      return {
+        score: matches ? 1 : 0,
+        message: matches ? "" : `${rule.field} "${value}" does not match ${rule.pattern}`
+      };
+    }
+  },
+  notBelow: {
+    settings: ["field", "than"],
+    check: (rule, item) => {
+      const value = Number(valueAt(item, rule.field)) || 0;
+      const than = Number(valueAt(item, rule.than)) || 0;
+      if (value <= 0 || than <= 0) return null;
+
+      // Amounts in different currencies are not compared
+      const currencies = new Set((rule.sameCurrency || []).map(field => currencyAt(item, field)).filter(Boolean));
+      if (currencies.size > 1) return null;
+
+      return {
+        score: value >= than ? 1 : 0,
+        message: value >= than ? "" : `${rule.field} ${value} is below ${rule.than} ${than}`
+      };
+    }
+  }
+};
+
+export const DATA_QUALITY_RULE_TYPES = Object.keys(RULE_TYPES);
+
+// Check a rule set and prepare its rules (compiled patterns, default weights)
+export function validateDataQualityRules(config) {
+  const rules = config?.rules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error("Data-quality rules need a non-empty \"rules\" list");
+  }
+
+  const ids = new Set();
+
+  return rules.map(rule => {
+    if (!rule.id) {
+      throw new Error(`Data-quality rule without "id": ${JSON.stringify(rule)}`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`Duplicate data-quality rule "${rule.id}"`);
+    }
+    ids.add(rule.id);
+
+    const type = RULE_TYPES[rule.type];
+    if (!type) {
+      throw new Error(`Data-quality rule "${rule.id}" has unknown type "${rule.type}". Expected one of: ${DATA_QUALITY_RULE_TYPES.join(", ")}`);
+    }
+
+    const missing = type.settings.filter(setting => !rule[setting] || (Array.isArray(rule[setting]) && rule[setting].length === 0));
+    if (missing.length > 0) {
+      throw new Error(`Data-quality rule "${rule.id}" needs ${missing.join(", ")}`);
+    }
+
+    const weight = rule.weight ?? 1;
+    if (!(typeof weight === "number" && weight > 0)) {
+      throw new Error(`Data-quality rule "${rule.id}" has an invalid weight: ${rule.weight}`);
+    }
+
+    let regex;
+    if (rule.type === "pattern") {
+      try {
+        regex = new RegExp(rule.pattern, rule.flags || "");
+      } catch (error) {
+        throw new Error(`Data-quality rule "${rule.id}" has an invalid pattern: ${error.message}`);
+      }
+    }
+
+    return { ...rule, description: rule.description || rule.id, weight, regex };
+  });
+}
+
+let cachedRules = null;
+
+// Data-quality rules from the configured file, read once per process
+export function getDataQualityRules() {
+  if (!cachedRules) {
+    const file = netsuiteConfig.dataQualityRulesFile;
+    cachedRules = validateDataQualityRules(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return cachedRules;
+}
+
+// Score one item: { score, failures: [{ rule, score, message }] }. Items no
+// rule applies to score 100.
+export function checkItem(item, rules = getDataQualityRules()) {
+  let weightSum = 0;
+  let weightedScore = 0;
+  const results = [];
+  const failures = [];
+
+  for (const rule of rules) {
+    const result = RULE_TYPES[rule.type].check(rule, item);
+    if (!result) continue;
+
+    weightSum += rule.weight;
+    weightedScore += rule.weight * result.score;
+    results.push({ rule: rule.id, score: result.score });
+    if (result.score < 1) {
+      failures.push({ rule: rule.id, score: Math.round(result.score * 100) / 100, message: result.message });
+    }
+  }
+
+  return {
+    score: weightSum > 0 ? Math.round(weightedScore / weightSum * 1000) / 10 : 100,
+    results,
+    failures
+  };
+}
+
+// Collects item results into per-rule and overall figures as items stream by
+export function createDataQualityReport(rules = getDataQualityRules()) {
+  const ruleStats = new Map(rules.map(rule => [rule.id, {
+    rule: rule.id,
+    description: rule.description,
+    weight: rule.weight,
+    checked: 0,
+    failed: 0,
+    scoreSum: 0
+  }]));
+
+  let itemsChecked = 0;
+  let itemsPassing = 0;
+  let scoreSum = 0;
+  const failingItems = [];
+
+  const add = (item) => {
+    const { score, results, failures } = checkItem(item, rules);
+
+    itemsChecked++;
+    scoreSum += score;
+    for (const result of results) {
+      const stats = ruleStats.get(result.rule);
+      stats.checked++;
+      stats.scoreSum += result.score;
+      if (result.score < 1) stats.failed++;
+    }
+
+    if (failures.length === 0) {
+      itemsPassing++;
+    } else {
+      failingItems.push({ internalId: item.internalId, itemName: item.itemName || "", score, failures });
+    }
+  };
+
+  const summary = () => ({
+    itemsChecked,
+    itemsPassing,
+    score: itemsChecked > 0 ? Math.round(scoreSum / itemsChecked * 10) / 10 : 100,
+    rules: [...ruleStats.values()].map(({ scoreSum: ruleScoreSum, ...stats }) => ({
+      ...stats,
+      // Share of the items the rule applies to that pass it, 0 to 100
+      score: stats.checked > 0 ? Math.round(ruleScoreSum / stats.checked * 1000) / 10 : 100
+    }))
+  });
+
+  // Failing items, lowest score first
+  const items = () => [...failingItems].sort((a, b) => a.score - b.score || a.internalId - b.internalId);
+
+  return { add, summary, items };
+}
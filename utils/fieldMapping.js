@@ -0,0 +1,136 @@
+import fs from "fs";
+import { netsuiteConfig } from "../config/netsuite.js";
+
+// =========================
+// NetSuite Field Mapping
+// =========================
+// Which NetSuite properties end up on which fields of our records is declared
+// once, in config/fieldMappings.json (or the FieldMapping collection with
+// FIELD_MAPPINGS_SOURCE=db), and applied by every sync path:
+//
+//   { "field": "producer", "source": "custitem15", "type": "refName" }
+//
+// `source` is a property path in the NetSuite record. Mappings marked
+// "custom": true are stored under the record's customFields, so a new
+// NetSuite custom field only needs a new mapping entry.
+
+// Supported coercions
+//   string   text; a list/record reference gives its refName
+//   number   numeric value, 0 when missing
+//   boolean  true, "T" or "true"
+//   date     Date, null when missing
+//   refName  display name of a list/record reference
+//   id       internal id of a list/record reference
+//   ref      { id, name } of a list/record reference
+export const FIELD_TYPES = ["string", "number", "boolean", "date", "refName", "id", "ref"];
+
+// Value stored when NetSuite has none and the mapping sets no default
+const EMPTY_VALUES = {
+  string: "",
+  number: 0,
+  boolean: false,
+  date: null,
+  refName: "",
+  id: "",
+  ref: null
+};
+
+const isReference = (value) => value !== null && typeof value === "object";
+
+const COERCE = {
+  string: (value) => (isReference(value) ? value.refName ?? "" : String(value)),
+  number: (value) => {
+    const number = typeof value === "number" ? value : parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  },
+  boolean: (value) => value === true || value === "T" || value === "true",
+  date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  },
+  refName: (value) => (isReference(value) ? value.refName ?? "" : String(value)),
+  id: (value) => (isReference(value) ? String(value.id ?? "") : String(value)),
+  ref: (value) => (isReference(value)
+    ? { id: String(value.id ?? ""), name: value.refName ?? "" }
+    : { id: String(value), name: "" })
+};
+
+const readPath = (record, source) =>
+  source.split(".").reduce((value, key) => (isReference(value) ? value[key] : undefined), record);
+
+// Copy the mapped NetSuite properties of `record` onto our field names.
+// Custom mappings are collected under `customFields`.
+export function mapFields(record, mappings) {
+  const fields = {};
+  const customFields = {};
+
+  for (const mapping of mappings) {
+    const raw = readPath(record, mapping.source);
+    let value = raw === null || raw === undefined || raw === "" ? null : COERCE[mapping.type](raw);
+    if (value === null || value === "") {
+      value = mapping.default ?? EMPTY_VALUES[mapping.type];
+    }
+
+    if (mapping.custom) customFields[mapping.field] = value;
+    else fields[mapping.field] = value;
+  }
+
+  return { ...fields, customFields };
+}
+
+// Reject mappings that would silently drop data: unknown types, duplicate
+// fields, or non-custom fields the model does not have
+export function validateFieldMappings(recordType, mappings, { schema } = {}) {
+  const seen = new Set();
+
+  for (const mapping of mappings) {
+    if (!mapping.field || !mapping.source) {
+      throw new Error(`Invalid ${recordType} field mapping ${JSON.stringify(mapping)}: "field" and "source" are required`);
+    }
+    if (!FIELD_TYPES.includes(mapping.type)) {
+      throw new Error(`Invalid type "${mapping.type}" in ${recordType} field mapping "${mapping.field}". Expected one of: ${FIELD_TYPES.join(", ")}`);
+    }
+    if (seen.has(mapping.field)) {
+      throw new Error(`Duplicate ${recordType} field mapping "${mapping.field}"`);
+    }
+    if (!mapping.custom && schema && !schema.path(mapping.field)) {
+      throw new Error(`${recordType} field mapping "${mapping.field}" is not a model field; set "custom": true to store it under customFields`);
+    }
+    seen.add(mapping.field);
+  }
+
+  return mappings;
+}
+
+// Mappings for a record type from the JSON file
+export function readFieldMappingsFile(recordType) {
+  const file = netsuiteConfig.fieldMappingsFile;
+  const definitions = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (!Array.isArray(definitions[recordType])) {
+    throw new Error(`${file} has no "${recordType}" field mappings`);
+  }
+  return definitions[recordType];
+}
+
+// Load and validate the mappings for a record type from the configured
+// source. Pass the model schema to check non-custom fields exist on it.
+export async function loadFieldMappings(recordType, { schema } = {}) {
+  let mappings = null;
+
+  if (netsuiteConfig.fieldMappingsSource === "db") {
+    const FieldMapping = (await import("../models/FieldMapping.js")).default;
+    mappings = await FieldMapping.forRecordType(recordType);
+
+    if (mappings.length === 0) {
+      console.warn(`⚠️ No ${recordType} field mappings in the database – using ${netsuiteConfig.fieldMappingsFile}`);
+      mappings = null;
+    }
+  }
+
+  return validateFieldMappings(recordType, mappings ?? readFieldMappingsFile(recordType), { schema });
+}
+
+// SuiteQL column holding a mapping's source: `column`, or the lower-cased
+// top-level property (SuiteQL columns are the record's field ids)
+export const suiteQLColumn = (mapping) => mapping.column || mapping.source.split(".")[0].toLowerCase();
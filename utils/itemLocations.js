@@ -0,0 +1,79 @@
+import { netsuiteRequest } from "./netsuiteRequest.js";
+import { CircuitOpenError } from "./netsuiteErrors.js";
+import { fetchSublistLines } from "./sublists.js";
+
+// =========================
+// Item Location Sublist
+// =========================
+// An item's locations sublist is paged through to the end; every line is
+// fetched and the outcome is recorded as the item's `locationSync`:
+//
+//   { complete, expected, fetched, lastError, checkedAt }
+//
+// Items with complete: false are picked up by scripts/resyncLocations.js,
+// which refetches only their locations. When the sublist cannot be listed at
+// all, `locations` is null and the stored locations are kept.
+
+// Reduce a locations sublist line to our location fields
+export const toLocationData = (line) => ({
+  locationId: line.locationId?.toString() || line.location?.id || "",
+  location: line.location_display || line.location?.refName || "",
+  quantityOnHand: line.quantityOnHand || 0,
+  quantityAvailable: line.quantityAvailable || 0
+});
+
+// Outcome of fetching `fetched` of `expected` location lines
+export const locationSyncStatus = (expected, fetched, error = null) => ({
+  complete: !error && fetched >= expected,
+  expected,
+  fetched,
+  lastError: error ? error.message || String(error) : "",
+  checkedAt: new Date()
+});
+
+// Fetch every location line of an item, `batchSize` lines at a time.
+// Resolves to { locations, locationSync }; a failed line or list page makes
+// the result incomplete instead of failing the item, and a failed listing
+// leaves `locations` null.
+export async function fetchItemLocations(itemId, locationsUrl, account, { batchSize = 1 } = {}) {
+  let lines;
+  let expected;
+
+  try {
+    ({ lines, totalResults: expected } = await fetchSublistLines(locationsUrl, account));
+  } catch (error) {
+    if (error instanceof CircuitOpenError) throw error;
+    console.error(`Error listing locations for item ${itemId}:`, error.message);
+    return { locations: null, locationSync: locationSyncStatus(0, 0, error) };
+  }
+
+  const locations = [];
+  let lastError = null;
+
+  for (let i = 0; i < lines.length; i += batchSize) {
+    const batch = lines.slice(i, i + batchSize);
+
+    const results = await Promise.all(batch.map(async (line) => {
+      const href = line.links?.[0]?.href;
+      if (!href) return null;
+
+      try {
+        return toLocationData((await netsuiteRequest({ url: href, account })).data);
+      } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
+        console.error(`Error fetching location ${href}:`, error.message);
+        lastError = error;
+        return null;
+      }
+    }));
+
+    locations.push(...results.filter(Boolean));
+  }
+
+  const locationSync = locationSyncStatus(expected, locations.length, lastError);
+  if (!locationSync.complete) {
+    console.log(`⚠️ Item ${itemId}: fetched ${locations.length} of ${expected} locations; queued for location re-sync`);
+  }
+
+  return { locations, locationSync };
+}
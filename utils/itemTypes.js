@@ -0,0 +1,106 @@
+// =========================
+// Item Types
+// =========================
+// NetSuite keeps each item type in its own record type (inventoryItem,
+// kitItem, ...), so each is listed, fetched and watermarked separately. All
+// of them are stored in the InventoryItem collection with `itemType` as the
+// discriminator (models/InventoryItem.js) and share the inventoryItem field
+// mappings; the fields particular to a type come from its `fields` function.
+//
+// Per type:
+//   recordPath   record API path segment (list, detail and sublist URLs)
+//   suiteQLWhere condition selecting the type in the SuiteQL `item` table
+//   suiteQLFields extra item columns for `fields`, keyed by REST property
+//   locations    has a locations sublist (stock held per location)
+//   members      has a member sublist (kit contents, assembly components)
+//   lots         stock is held in lots (inventory numbers) per location
+//   fields       type-specific fields from a NetSuite record
+
+const flag = (value) => value === true || value === "T";
+
+export const ITEM_TYPES = {
+  inventoryItem: {
+    recordPath: "inventoryitem",
+    suiteQLWhere: "itemtype = 'InvtPart' AND islotitem = 'F'",
+    suiteQLFields: {},
+    locations: true,
+    members: false,
+    lots: false,
+    fields: () => ({})
+  },
+  lotNumberedInventoryItem: {
+    recordPath: "lotnumberedinventoryitem",
+    suiteQLWhere: "itemtype = 'InvtPart' AND islotitem = 'T'",
+    suiteQLFields: { useBins: { column: "usebins" } },
+    locations: true,
+    members: false,
+    lots: true,
+    fields: (record) => ({ useBins: flag(record.useBins) })
+  },
+  kitItem: {
+    recordPath: "kititem",
+    suiteQLWhere: "itemtype = 'Kit'",
+    suiteQLFields: { printItems: { column: "printitems" } },
+    locations: false,
+    members: true,
+    lots: false,
+    fields: (record) => ({ printItems: flag(record.printItems) })
+  },
+  assemblyItem: {
+    recordPath: "assemblyitem",
+    suiteQLWhere: "itemtype = 'Assembly'",
+    suiteQLFields: { buildEntireAssembly: { column: "buildentireassembly" } },
+    locations: true,
+    members: true,
+    lots: false,
+    fields: (record) => ({ buildEntireAssembly: flag(record.buildEntireAssembly) })
+  },
+  nonInventoryResaleItem: {
+    recordPath: "noninventoryresaleitem",
+    suiteQLWhere: "itemtype = 'NonInvtPart' AND subtype = 'Resale'",
+    suiteQLFields: { cost: { column: "cost" } },
+    locations: false,
+    members: false,
+    lots: false,
+    fields: (record) => ({ purchaseCost: parseFloat(record.cost) || 0 })
+  }
+};
+
+export const ITEM_TYPE_NAMES = Object.keys(ITEM_TYPES);
+
+// Item types from a comma-separated list such as "inventoryItem,kitItem".
+// Throws on names that are not item types.
+export function parseItemTypes(value) {
+  const names = (Array.isArray(value) ? value : String(value).split(","))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !ITEM_TYPES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown item type(s) ${unknown.join(", ")}. Expected: ${ITEM_TYPE_NAMES.join(", ")}`);
+  }
+
+  return names;
+}
+
+// Item type of a record API link such as .../record/v1/kitItem/123, or null
+export function itemTypeFromUrl(href) {
+  const segment = href?.match(/\/record\/v1\/([^/?]+)\//i)?.[1]?.toLowerCase();
+  return ITEM_TYPE_NAMES.find(name => ITEM_TYPES[name].recordPath === segment) || null;
+}
+
+// MongoDB condition on `itemType` matching any of `itemTypes`. Items stored
+// before item types were tracked have none and are plain inventory items.
+export const itemTypeFilter = (itemTypes) =>
+  ({ $in: itemTypes.includes("inventoryItem") ? [...itemTypes, null] : itemTypes });
+
+// SuiteQL condition matching any of `itemTypes`
+export const suiteQLItemTypeWhere = (itemTypes) =>
+  `(${itemTypes.map(name => `(${ITEM_TYPES[name].suiteQLWhere})`).join(" OR ")})`;
+
+// Reduce a member sublist line to our member fields
+export const toMemberData = (line) => ({
+  itemId: parseInt(line.item?.id) || 0,
+  itemName: line.item?.refName || "",
+  quantity: parseFloat(line.quantity) || 0
+});
@@ -0,0 +1,194 @@
+import axios from "axios";
+import crypto from "crypto";
+import fs from "fs";
+import OAuth from "oauth-1.0a";
+
+// =========================
+// NetSuite Auth Providers
+// =========================
+// Every provider exposes the same interface so the request client does not
+// care which one is configured:
+//   getAuthorizationHeader(url, method) -> Promise<string|null>
+//   invalidate()                        -> drop any cached credential
+//   status()                            -> details for the status API
+
+// Token-Based Authentication (OAuth 1.0a, HMAC-SHA256). Every request is
+// signed individually, so there is nothing to cache.
+export function createTbaProvider(config) {
+  const oauth = OAuth({
+    consumer: {
+      key: config.consumerKey,
+      secret: config.consumerSecret
+    },
+    signature_method: 'HMAC-SHA256',
+    hash_function(base_string, key) {
+      return crypto
+        .createHmac('sha256', key)
+        .update(base_string)
+        .digest('base64');
+    }
+  });
+
+  const token = {
+    key: config.token,
+    secret: config.tokenSecret
+  };
+
+  return {
+    name: "tba",
+
+    async getAuthorizationHeader(url, method = "GET") {
+      const oauthHeaders = oauth.toHeader(oauth.authorize({ url, method }, token));
+
+      // Add realm to the OAuth header
+      return oauthHeaders['Authorization'] + `, realm="${config.realm}"`;
+    },
+
+    invalidate() {},
+
+    status() {
+      return { method: "tba", account: config.name, realm: config.realm };
+    }
+  };
+}
+
+// Signing options per supported JWT algorithm
+const JWT_SIGNERS = {
+  PS256: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST },
+  RS256: {},
+  ES256: { dsaEncoding: "ieee-p1363" }
+};
+
+// Renew access tokens this long before NetSuite says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+// OAuth 2.0 client credentials flow (machine-to-machine). A JWT assertion
+// signed with the certificate's private key is exchanged for an access token,
+// which is cached and renewed shortly before it expires.
+export function createOAuth2Provider(config) {
+  const signer = JWT_SIGNERS[config.jwtAlgorithm];
+  if (!signer) {
+    throw new Error(`Unsupported NetSuite JWT algorithm "${config.jwtAlgorithm}". Expected one of: ${Object.keys(JWT_SIGNERS).join(", ")}`);
+  }
+
+  let accessToken = null;
+  let expiresAt = 0;
+  let pendingRefresh = null;
+
+  const loadPrivateKey = () => {
+    if (config.privateKey) return config.privateKey;
+    if (config.privateKeyPath) return fs.readFileSync(config.privateKeyPath, "utf8");
+    throw new Error(`OAuth 2.0 auth for NetSuite account "${config.name}" needs a private key (PRIVATE_KEY or PRIVATE_KEY_PATH)`);
+  };
+
+  const buildAssertion = () => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: config.jwtAlgorithm, typ: "JWT", kid: config.certificateId };
+    const payload = {
+      iss: config.clientId,
+      scope: config.oauth2Scopes.split(",").map(scope => scope.trim()),
+      aud: config.tokenUrl,
+      iat: now,
+      exp: now + 3600
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign("sha256", Buffer.from(signingInput), {
+      key: loadPrivateKey(),
+      ...signer
+    });
+
+    return `${signingInput}.${signature.toString("base64url")}`;
+  };
+
+  const requestToken = async () => {
+    const body = new URLSearchParams({
+      grant_type: "client_credentials",
+      client_assertion_type: "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
+      client_assertion: buildAssertion()
+    });
+
+    const response = await axios({
+      method: "POST",
+      url: config.tokenUrl,
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      data: body.toString(),
+      timeout: config.timeout
+    });
+
+    accessToken = response.data.access_token;
+    expiresAt = Date.now() + (parseInt(response.data.expires_in) || 3600) * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+    console.log(`🔑 NetSuite OAuth 2.0 token refreshed for ${config.name} (valid until ${new Date(expiresAt).toISOString()})`);
+
+    return accessToken;
+  };
+
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < expiresAt) return accessToken;
+
+    // Share one refresh between concurrent callers
+    if (!pendingRefresh) {
+      pendingRefresh = requestToken().finally(() => {
+        pendingRefresh = null;
+      });
+    }
+    return pendingRefresh;
+  };
+
+  return {
+    name: "oauth2",
+
+    async getAuthorizationHeader() {
+      return `Bearer ${await getAccessToken()}`;
+    },
+
+    invalidate() {
+      accessToken = null;
+      expiresAt = 0;
+    },
+
+    status() {
+      return {
+        method: "oauth2",
+        account: config.name,
+        clientId: config.clientId,
+        tokenCached: Boolean(accessToken) && Date.now() < expiresAt,
+        tokenExpiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      };
+    }
+  };
+}
+
+// No authentication; only for the local mock server (mock/netsuiteServer.js)
+export function createNoAuthProvider(config) {
+  return {
+    name: "none",
+
+    async getAuthorizationHeader() {
+      return null;
+    },
+
+    invalidate() {},
+
+    status() {
+      return { method: "none", account: config.name };
+    }
+  };
+}
+
+const AUTH_PROVIDERS = {
+  tba: createTbaProvider,
+  oauth2: createOAuth2Provider,
+  none: createNoAuthProvider
+};
+
+// Build the provider named by config.authMethod
+export function createAuthProvider(config) {
+  const factory = AUTH_PROVIDERS[config.authMethod];
+  if (!factory) {
+    throw new Error(`Unknown NetSuite auth method "${config.authMethod}". Expected one of: ${Object.keys(AUTH_PROVIDERS).join(", ")}`);
+  }
+  return factory(config);
+}
@@ -0,0 +1,161 @@
+// =========================
+// NetSuite Errors
+// =========================
+// NetSuite REST and SuiteQL failures carry an `o:errorDetails` array such as
+//   { "o:errorDetails": [{ "detail": "...", "o:errorCode": "NONEXISTENT_ID", "o:errorPath": "id" }] }
+// parseNetSuiteError turns a failed axios call into one of the typed errors
+// below so callers can branch on `code` instead of matching message strings.
+
+export class NetSuiteError extends Error {
+  static code = "NETSUITE_ERROR";
+
+  constructor(message, { status = null, netsuiteCode = null, detail = "", path = null, account, method, url, response, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.status = status;
+    this.netsuiteCode = netsuiteCode;
+    this.detail = detail;
+    this.path = path;
+    this.account = account;
+    this.method = method;
+    this.url = url;
+    // Kept so existing `error.response?.status` checks keep working
+    this.response = response;
+  }
+
+  // Structured form for sync results and API responses
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      netsuiteCode: this.netsuiteCode,
+      message: this.message,
+      detail: this.detail,
+      path: this.path
+    };
+  }
+}
+
+export class NetSuiteAuthError extends NetSuiteError {
+  static code = "AUTH_FAILED";
+}
+
+export class NetSuiteNotFoundError extends NetSuiteError {
+  static code = "NOT_FOUND";
+}
+
+export class NetSuitePermissionError extends NetSuiteError {
+  static code = "PERMISSION_DENIED";
+}
+
+export class NetSuiteInvalidQueryError extends NetSuiteError {
+  static code = "INVALID_QUERY";
+}
+
+// Account-wide request or usage governance has run out
+export class NetSuiteGovernanceError extends NetSuiteError {
+  static code = "GOVERNANCE_LIMIT";
+}
+
+export class NetSuiteConcurrencyError extends NetSuiteError {
+  static code = "CONCURRENCY_LIMIT";
+}
+
+export class NetSuiteServerError extends NetSuiteError {
+  static code = "SERVER_ERROR";
+}
+
+// No response at all (reset connection, timeout, DNS)
+export class NetSuiteNetworkError extends NetSuiteError {
+  static code = "NETWORK_ERROR";
+}
+
+// Thrown by the circuit breaker (utils/circuitBreaker.js) while an account is down
+export class CircuitOpenError extends NetSuiteError {
+  static code = "CIRCUIT_OPEN";
+
+  constructor(account, retryAt) {
+    super(`NetSuite account "${account}" is unavailable; circuit open until ${retryAt.toISOString()}`, { account });
+    this.retryAt = retryAt;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAt: this.retryAt.toISOString() };
+  }
+}
+
+// Replay mode has no recorded response for a request (utils/netsuiteTraffic.js)
+export class NetSuiteReplayMissError extends NetSuiteError {
+  static code = "REPLAY_MISS";
+}
+
+// NetSuite error codes (o:errorCode, or `error` from the OAuth 2.0 token endpoint)
+const ERROR_CODE_CLASSES = {
+  INVALID_LOGIN: NetSuiteAuthError,
+  INVALID_LOGIN_ATTEMPT: NetSuiteAuthError,
+  INVALID_LOGIN_CREDENTIALS: NetSuiteAuthError,
+  invalid_client: NetSuiteAuthError,
+  invalid_grant: NetSuiteAuthError,
+  unauthorized_client: NetSuiteAuthError,
+  INSUFFICIENT_PERMISSION: NetSuitePermissionError,
+  PERMISSION_VIOLATION: NetSuitePermissionError,
+  NONEXISTENT_ID: NetSuiteNotFoundError,
+  RCRD_DSNT_EXIST: NetSuiteNotFoundError,
+  INVALID_PARAMETER: NetSuiteInvalidQueryError,
+  INVALID_SEARCH: NetSuiteInvalidQueryError,
+  SSS_INVALID_SRCH_FILTER: NetSuiteInvalidQueryError,
+  SSS_REQUEST_LIMIT_EXCEEDED: NetSuiteGovernanceError,
+  SSS_USAGE_LIMIT_EXCEEDED: NetSuiteGovernanceError,
+  REQUEST_LIMIT_EXCEEDED: NetSuiteGovernanceError,
+  CONCURRENCY_LIMIT_EXCEEDED: NetSuiteConcurrencyError
+};
+
+// Fallback when the body has no recognised code
+const classForStatus = (status) => {
+  if (status === 401) return NetSuiteAuthError;
+  if (status === 403) return NetSuitePermissionError;
+  if (status === 404) return NetSuiteNotFoundError;
+  if (status === 429) return NetSuiteConcurrencyError;
+  if (status >= 500) return NetSuiteServerError;
+  return NetSuiteError;
+};
+
+// Convert a failed axios call into a typed NetSuiteError
+export function parseNetSuiteError(err, { account, method, url } = {}) {
+  if (err instanceof NetSuiteError) return err;
+
+  const context = { account, method, url, cause: err };
+
+  if (!err.response) {
+    return new NetSuiteNetworkError(`NetSuite request failed: ${err.code || err.message}`, {
+      ...context,
+      netsuiteCode: err.code || null,
+      detail: err.message
+    });
+  }
+
+  const { status, data } = err.response;
+  const errorDetail = data?.["o:errorDetails"]?.[0] || {};
+  const netsuiteCode = errorDetail["o:errorCode"] || data?.error || null;
+  const detail = errorDetail.detail || data?.error_description || data?.title || err.message;
+  const path = errorDetail["o:errorPath"] || errorDetail["o:errorQueryParam"] || errorDetail["o:errorHeader"] || null;
+
+  const ErrorClass = ERROR_CODE_CLASSES[netsuiteCode] || classForStatus(status);
+  const message = `NetSuite ${status}${netsuiteCode ? ` ${netsuiteCode}` : ""}: ${detail}`;
+
+  return new ErrorClass(message, {
+    ...context,
+    status,
+    netsuiteCode,
+    detail,
+    path,
+    response: err.response
+  });
+}
+
+// Fields to record for a failed item in sync results
+export const describeError = (error) =>
+  error instanceof NetSuiteError
+    ? { error: error.message, code: error.code, status: error.status, netsuiteCode: error.netsuiteCode, path: error.path }
+    : { error: error.message };
@@ -1,42 +1,211 @@
-import axios from "axios";
-import Bottleneck from "bottleneck";
-import { generateOAuthHeaders } from "../config/netsuite.js";
+import { DEFAULT_ACCOUNT, getAccountConfig } from "../config/netsuite.js";
+import { createAuthProvider } from "./netsuiteAuth.js";
+import { createAdaptiveLimiter } from "./adaptiveLimiter.js";
+import { createCircuitBreaker } from "./circuitBreaker.js";
+import { isTransientError, retryDelay } from "./retryPolicy.js";
+import { parseNetSuiteError } from "./netsuiteErrors.js";
+import { sendNetSuiteRequest, isReplaying, getTrafficStatus } from "./netsuiteTraffic.js";
 
 // =========================
-// Shared NetSuite Rate Limiter
+// Per-Account Clients
 // =========================
-const limiter = new Bottleneck({
-  maxConcurrent: 1,   // NetSuite-safe
-  minTime: 1200       // ~1.2s between requests
-});
+// Every NetSuite call in this process (API server, CLI scripts, services)
+// goes through its account's adaptive limiter, so callers hitting the same
+// account share one concurrency budget. Each account also has its own auth
+// provider and circuit breaker.
+const clients = new Map();
+
+function getClient(account) {
+  if (!clients.has(account)) {
+    const config = getAccountConfig(account);
+    clients.set(account, {
+      config,
+      authProvider: createAuthProvider(config),
+      limiter: createAdaptiveLimiter(config),
+      breaker: createCircuitBreaker(config)
+    });
+  }
+  return clients.get(account);
+}
+
+// NetSuite signals an exceeded concurrency limit with a 429, sometimes only
+// via the error code in the body
+const isThrottled = (err) => {
+  if (err.response?.status === 429) return true;
+  const details = err.response?.data?.["o:errorDetails"];
+  return Array.isArray(details) && details.some(detail => detail["o:errorCode"] === "CONCURRENCY_LIMIT_EXCEEDED");
+};
+
+const DEFAULT_HEADERS = {
+  "Content-Type": "application/json",
+  Accept: "application/json"
+};
+
+// =========================
+// Request Metrics
+// =========================
+const RECENT_CALLS_LIMIT = 50;
+
+const metrics = {
+  totalCalls: 0,
+  succeeded: 0,
+  failed: 0,
+  retries: 0,
+  rateLimited: 0,
+  totalDurationMs: 0,
+  byStatus: {},
+  byAccount: {},
+  recentCalls: [],
+  startedAt: new Date()
+};
+
+function recordCall({ account, method, url, status, durationMs, attempt, error, errorCode, throttled = false }) {
+  metrics.totalCalls++;
+  metrics.byAccount[account] = (metrics.byAccount[account] || 0) + 1;
+  metrics.totalDurationMs += durationMs;
+  if (error) metrics.failed++;
+  else metrics.succeeded++;
+  if (throttled) metrics.rateLimited++;
+
+  const statusKey = status ? String(status) : "network";
+  metrics.byStatus[statusKey] = (metrics.byStatus[statusKey] || 0) + 1;
+
+  metrics.recentCalls.push({
+    account,
+    method,
+    url,
+    status: status || null,
+    durationMs,
+    attempt,
+    error: error || undefined,
+    errorCode: errorCode || undefined,
+    at: new Date().toISOString()
+  });
+  if (metrics.recentCalls.length > RECENT_CALLS_LIMIT) {
+    metrics.recentCalls.shift();
+  }
+}
+
+// Snapshot of the per-call metrics collected since the process started
+export function getRequestMetrics() {
+  const accounts = {};
+  let queued = 0;
+  let running = 0;
+
+  let callsPerMinute = 0;
+
+  for (const [name, client] of clients) {
+    const limiter = client.limiter.status();
+    queued += limiter.queued;
+    running += limiter.running;
+    callsPerMinute += limiter.callsPerMinute;
+    accounts[name] = {
+      calls: metrics.byAccount[name] || 0,
+      auth: client.authProvider.status(),
+      circuit: client.breaker.status(),
+      limiter
+    };
+  }
+
+  return {
+    totalCalls: metrics.totalCalls,
+    succeeded: metrics.succeeded,
+    failed: metrics.failed,
+    retries: metrics.retries,
+    rateLimited: metrics.rateLimited,
+    avgDurationMs: metrics.totalCalls > 0
+      ? Math.round(metrics.totalDurationMs / metrics.totalCalls)
+      : 0,
+    byStatus: { ...metrics.byStatus },
+    accounts,
+    callsPerMinute,
+    queued,
+    running,
+    traffic: getTrafficStatus(),
+    recentCalls: [...metrics.recentCalls],
+    since: metrics.startedAt.toISOString()
+  };
+}
 
 // =========================
 // Shared Request Helper
 // =========================
+// Signs the request for the given account (default account when omitted),
+// applies default headers and timeout, and retries throttled calls and
+// transient server/network failures with backoff (and 401s once the OAuth 2.0
+// token has been renewed). While the account's circuit is open the call waits;
+// it rejects with CircuitOpenError if NetSuite stays down past the maximum
+// pause. Resolves with the axios response; rejects with a typed NetSuiteError
+// (utils/netsuiteErrors.js). Traffic is recorded or replayed according to
+// NETSUITE_TRAFFIC_MODE (utils/netsuiteTraffic.js).
 export async function netsuiteRequest(
-  { method = "GET", url, headers = {}, data = null, timeout = 30000 },
-  retries = 3
+  { method = "GET", url, headers = {}, data = null, timeout, account = DEFAULT_ACCOUNT },
+  retries
 ) {
+  const { config, authProvider, limiter, breaker } = getClient(account);
+  timeout ??= config.timeout;
+  retries ??= config.maxRetries;
+  const attempt = config.maxRetries - retries + 1;
+
   try {
-    return await limiter.schedule(() =>
-      axios({
-        method,
-        url,
-        headers: {
-          ...headers,
-          Authorization: generateOAuthHeaders(url, method)
-        },
-        data,
-        timeout
-      })
-    );
+    await breaker.acquire();
+
+    return await limiter.schedule(async () => {
+      const startTime = Date.now();
+      try {
+        // Replayed responses need no credentials
+        const authorization = isReplaying ? null : await authProvider.getAuthorizationHeader(url, method);
+        const response = await sendNetSuiteRequest(account, {
+          method,
+          url,
+          headers: {
+            ...DEFAULT_HEADERS,
+            ...headers,
+            ...(authorization && { Authorization: authorization })
+          },
+          data,
+          timeout
+        });
+        recordCall({ account, method, url, status: response.status, durationMs: Date.now() - startTime, attempt });
+        limiter.onSuccess();
+        breaker.onSuccess();
+        return response;
+      } catch (err) {
+        const parsed = parseNetSuiteError(err, { account, method, url });
+        const throttled = isThrottled(err);
+        if (throttled) limiter.onThrottle();
+        else limiter.onComplete();
+        if (isTransientError(err)) breaker.onFailure();
+        else breaker.onSuccess();
+        recordCall({
+          account,
+          method,
+          url,
+          status: err.response?.status,
+          durationMs: Date.now() - startTime,
+          attempt,
+          error: parsed.message,
+          errorCode: parsed.code,
+          throttled
+        });
+        throw err;
+      }
+    });
   } catch (err) {
-    if (err.response?.status === 429 && retries > 0) {
-      const wait = (4 - retries) * 5000;
-      console.warn(`⚠️ NetSuite 429 – retrying in ${wait} ms`);
+    if ((isThrottled(err) || isTransientError(err)) && retries > 0) {
+      const wait = retryDelay(attempt, err, config);
+      metrics.retries++;
+      console.warn(`⚠️ NetSuite ${err.response?.status || err.code} (${account}) – retry ${attempt}/${config.maxRetries} in ${wait} ms`);
       await new Promise(r => setTimeout(r, wait));
-      return netsuiteRequest({ method, url, headers, data, timeout }, retries - 1);
+      return netsuiteRequest({ method, url, headers, data, timeout, account }, retries - 1);
+    }
+    // A rejected bearer token may have been revoked early; fetch a new one
+    if (err.response?.status === 401 && authProvider.name === "oauth2" && retries > 0) {
+      metrics.retries++;
+      console.warn(`⚠️ NetSuite 401 (${account}) – refreshing OAuth 2.0 token`);
+      authProvider.invalidate();
+      return netsuiteRequest({ method, url, headers, data, timeout, account }, retries - 1);
     }
-    throw err;
+    throw parseNetSuiteError(err, { account, method, url });
   }
 }
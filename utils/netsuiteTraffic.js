@@ -0,0 +1,175 @@
+import axios, { AxiosError } from "axios";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { netsuiteConfig } from "../config/netsuite.js";
+import { NetSuiteReplayMissError } from "./netsuiteErrors.js";
+
+// =========================
+// NetSuite Traffic Recording
+// =========================
+// With NETSUITE_TRAFFIC_MODE=record every request netsuiteRequest sends, and
+// what NetSuite answered (including errors, 429s and network failures), is
+// saved as JSON under NETSUITE_TRAFFIC_DIR/<account>/ with credentials
+// redacted. With NETSUITE_TRAFFIC_MODE=replay the same requests are answered
+// from those files, in the order they were recorded, without calling NetSuite:
+//
+//   NETSUITE_TRAFFIC_MODE=record npm run sync
+//   NETSUITE_TRAFFIC_MODE=replay npm run sync
+//
+// Recordings are keyed by method, path, query string and body, so they replay
+// against any host name.
+
+const TRAFFIC_MODES = ["live", "record", "replay"];
+
+const { trafficMode: mode, trafficDir } = netsuiteConfig;
+const trafficRoot = path.resolve(trafficDir);
+
+if (!TRAFFIC_MODES.includes(mode)) {
+  throw new Error(`Unknown NETSUITE_TRAFFIC_MODE "${mode}". Expected one of: ${TRAFFIC_MODES.join(", ")}`);
+}
+
+export const isReplaying = mode === "replay";
+
+const REDACTED = "[REDACTED]";
+const SENSITIVE_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie"];
+
+const redactHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value
+    ])
+  );
+
+const requestKey = ({ method, url, data }) => {
+  const { pathname, search } = new URL(url);
+  return `${method.toUpperCase()} ${pathname}${search}${data ? ` ${JSON.stringify(data)}` : ""}`;
+};
+
+// e.g. recordings/netsuite/default/get_inventoryitem_11565_price_1f3c9a0b2d4e.json
+const recordingPath = (account, request, key) => {
+  const { pathname } = new URL(request.url);
+  const slug = pathname.split("/").filter(Boolean).slice(-3).join("_").replace(/[^\w.-]/g, "_");
+  const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+  return path.join(trafficRoot, account, `${request.method.toLowerCase()}_${slug}_${hash}.json`);
+};
+
+const stats = { recorded: 0, replayed: 0, misses: 0 };
+
+// Keys written during this run; the first write replaces an older recording
+const recordedKeys = new Set();
+
+// Next response to serve per key during replay
+const replayPositions = new Map();
+
+let announced = false;
+const announce = () => {
+  if (announced || mode === "live") return;
+  announced = true;
+  console.log(mode === "record"
+    ? `📼 Recording NetSuite traffic to ${trafficRoot}`
+    : `▶️  Replaying NetSuite traffic from ${trafficRoot}`);
+};
+
+function record(account, request, exchange) {
+  const key = requestKey(request);
+  const file = recordingPath(account, request, key);
+
+  let recording = null;
+  if (recordedKeys.has(key) && fs.existsSync(file)) {
+    recording = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else {
+    recording = {
+      key,
+      account,
+      request: {
+        method: request.method,
+        url: request.url,
+        headers: redactHeaders(request.headers),
+        data: request.data ?? null
+      },
+      responses: []
+    };
+  }
+
+  recording.responses.push({ ...exchange, recordedAt: new Date().toISOString() });
+  recordedKeys.add(key);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(recording, null, 2));
+  stats.recorded++;
+}
+
+// Rebuild what axios would have resolved or thrown for a recorded exchange
+function replay(account, request) {
+  const key = requestKey(request);
+  const file = recordingPath(account, request, key);
+
+  if (!fs.existsSync(file)) {
+    stats.misses++;
+    throw new NetSuiteReplayMissError(`No recorded NetSuite response for ${key} (${account})`, {
+      account,
+      method: request.method,
+      url: request.url,
+      detail: `Expected recording ${file}`
+    });
+  }
+
+  const { responses } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const position = replayPositions.get(file) || 0;
+  // Once the recorded sequence is used up, keep answering with its last entry
+  const exchange = responses[Math.min(position, responses.length - 1)];
+  replayPositions.set(file, position + 1);
+  stats.replayed++;
+
+  if (exchange.error) {
+    throw new AxiosError(exchange.error.message, exchange.error.code, request);
+  }
+
+  const response = {
+    status: exchange.status,
+    statusText: exchange.statusText,
+    headers: exchange.headers,
+    data: exchange.data,
+    config: request
+  };
+
+  if (exchange.status >= 400) {
+    const code = exchange.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+    throw new AxiosError(`Request failed with status code ${exchange.status}`, code, request, null, response);
+  }
+  return response;
+}
+
+const toExchange = (response, startTime) => ({
+  status: response.status,
+  statusText: response.statusText,
+  headers: redactHeaders({ ...response.headers }),
+  data: response.data,
+  durationMs: Date.now() - startTime
+});
+
+// Send one request (an axios request config) according to the traffic mode
+export async function sendNetSuiteRequest(account, request) {
+  announce();
+  if (isReplaying) return replay(account, request);
+
+  const startTime = Date.now();
+  try {
+    const response = await axios(request);
+    if (mode === "record") record(account, request, toExchange(response, startTime));
+    return response;
+  } catch (err) {
+    if (mode === "record") {
+      record(account, request, err.response
+        ? toExchange(err.response, startTime)
+        : { error: { code: err.code || null, message: err.message }, durationMs: Date.now() - startTime });
+    }
+    throw err;
+  }
+}
+
+export function getTrafficStatus() {
+  return { mode, dir: mode === "live" ? null : trafficRoot, ...stats };
+}
@@ -0,0 +1,19 @@
+// NetSuite caps record collection and SuiteQL pages at 1000 entries
+export const MAX_PAGE_SIZE = 1000;
+
+// Walk a paged NetSuite collection one page at a time, starting at `offset`.
+// fetchPage(offset, pageSize) must resolve to { items, hasMore, totalResults };
+// each yielded page also carries its own offset and the offset of the next one.
+export async function* paginate(fetchPage, { offset = 0, pageSize = MAX_PAGE_SIZE } = {}) {
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await fetchPage(offset, pageSize);
+    const nextOffset = offset + page.items.length;
+
+    yield { ...page, offset, nextOffset };
+
+    hasMore = page.hasMore && page.items.length > 0;
+    offset = nextOffset;
+  }
+}
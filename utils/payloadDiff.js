@@ -0,0 +1,41 @@
+// =========================
+// Payload Diff
+// =========================
+// Differences between two versions of a NetSuite payload, one entry per
+// changed leaf value, for tracing mapping problems back to what NetSuite sent:
+//
+//   { path: "locationsData[0].quantityAvailable", change: "changed", from: 12, to: 6 }
+//
+// `change` is "added", "removed" or "changed". Arrays are compared by index.
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+const childPath = (path, key, isArray) =>
+  isArray ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+export function diffPayloads(from, to, path = "", changes = []) {
+  if (isObject(from) && isObject(to) && Array.isArray(from) === Array.isArray(to)) {
+    const isArray = Array.isArray(from);
+    const keys = isArray
+      ? [...Array(Math.max(from.length, to.length)).keys()]
+      : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    for (const key of keys) {
+      const hasFrom = isArray ? key < from.length : Object.prototype.hasOwnProperty.call(from, key);
+      const hasTo = isArray ? key < to.length : Object.prototype.hasOwnProperty.call(to, key);
+      const keyPath = childPath(path, key, isArray);
+
+      if (!hasTo) {
+        changes.push({ path: keyPath, change: "removed", from: from[key] });
+      } else if (!hasFrom) {
+        changes.push({ path: keyPath, change: "added", to: to[key] });
+      } else {
+        diffPayloads(from[key], to[key], keyPath, changes);
+      }
+    }
+  } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ path: path || "(root)", change: "changed", from, to });
+  }
+
+  return changes;
+}
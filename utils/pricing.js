@@ -0,0 +1,118 @@
+import fs from "fs";
+import { netsuiteConfig } from "../config/netsuite.js";
+import { currencyCode } from "./currency.js";
+
+// =========================
+// Item Price Matrix
+// =========================
+// Every line of an item's price sublist is stored as a price matrix entry
+// (price level, currency, quantity tier, price). Which entries become the
+// trade, retail and display prices is declared in config/priceRules.json
+// (PRICE_RULES_FILE), so every sync path picks them the same way:
+//
+//   "retail":  [{ "priceLevel": "LPCP (HKD)" }],
+//   "display": [{ "use": "retail" }, { "use": "trade" }]
+//
+// Each role lists candidates in priority order and takes the first one with
+// a price. A candidate matches on `priceLevel` and optionally `currency` and
+// `quantity` (the tier's minimum quantity, 0 for the base price); without a
+// currency the item's own currency is preferred. "use" points at a role
+// resolved before it.
+
+export const PRICE_ROLES = ["trade", "retail", "display"];
+
+// Item currency, for price lines and SuiteQL rows that carry none
+export const itemCurrencyCode = (itemCurrency) =>
+  currencyCode(typeof itemCurrency === "object" ? itemCurrency?.refName : itemCurrency);
+
+// One price sublist line (REST record or expanded sublist) as a matrix entry
+export function toPriceEntry(line, itemCurrency = null) {
+  return {
+    priceLevelId: line.priceLevel?.id != null ? String(line.priceLevel.id) : null,
+    priceLevel: line.priceLevelName || line.priceLevel?.refName || "",
+    currency: currencyCode(line.currencyPage?.refName) || itemCurrencyCode(itemCurrency),
+    quantity: parseFloat(line.quantity?.value ?? line.quantity) || 0,
+    price: parseFloat(line.price) || 0
+  };
+}
+
+const matches = (entry, candidate) =>
+  entry.priceLevel === candidate.priceLevel &&
+  (!candidate.currency || entry.currency === candidate.currency) &&
+  entry.quantity === (candidate.quantity ?? 0);
+
+export function validatePriceRules(rules) {
+  for (const [role, candidates] of Object.entries(rules)) {
+    if (!PRICE_ROLES.includes(role)) {
+      throw new Error(`Unknown price role "${role}". Expected one of: ${PRICE_ROLES.join(", ")}`);
+    }
+    if (!Array.isArray(candidates)) {
+      throw new Error(`Price role "${role}" must be a list of candidates`);
+    }
+
+    for (const candidate of candidates) {
+      if (candidate.use) {
+        // Roles resolve in PRICE_ROLES order, so only earlier ones can be used
+        if (PRICE_ROLES.indexOf(candidate.use) < 0 || PRICE_ROLES.indexOf(candidate.use) >= PRICE_ROLES.indexOf(role)) {
+          throw new Error(`Price role "${role}" cannot use "${candidate.use}"`);
+        }
+      } else if (!candidate.priceLevel) {
+        throw new Error(`Price role "${role}" has a candidate without "priceLevel" or "use": ${JSON.stringify(candidate)}`);
+      }
+    }
+  }
+
+  return rules;
+}
+
+let cachedRules = null;
+
+// Price rules from the configured file, read once per process
+export function getPriceRules() {
+  if (!cachedRules) {
+    const file = netsuiteConfig.priceRulesFile;
+    cachedRules = validatePriceRules(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return cachedRules;
+}
+
+// Pick the trade, retail and display prices out of a price matrix. Returns
+// the price fields we store (price, currency, tradePrice, retailPrice and
+// their currencies) plus the display price level and the matrix itself.
+export function applyPriceRules(priceMatrix, itemCurrency = null, rules = getPriceRules()) {
+  const currency = itemCurrencyCode(itemCurrency);
+  const resolved = {};
+
+  const findEntry = (candidate) => {
+    const lines = priceMatrix.filter(line => line.price > 0 && matches(line, candidate));
+    return lines.find(line => line.currency === currency) || lines[0];
+  };
+
+  for (const role of PRICE_ROLES) {
+    for (const candidate of rules[role] || []) {
+      const entry = candidate.use ? resolved[candidate.use] : findEntry(candidate);
+
+      if (entry?.price > 0) {
+        resolved[role] = entry;
+        break;
+      }
+    }
+  }
+
+  // Items whose currency has no known code are priced in the base currency
+  const fallback = currency || netsuiteConfig.baseCurrency;
+
+  return {
+    price: resolved.display?.price || 0,
+    currency: resolved.display?.currency || fallback,
+    priceLevel: resolved.display?.priceLevel || "",
+    tradePrice: resolved.trade?.price || 0,
+    tradeCurrency: resolved.trade?.currency || fallback,
+    retailPrice: resolved.retail?.price || 0,
+    retailCurrency: resolved.retail?.currency || fallback,
+    priceMatrix
+  };
+}
+
+// Price fields for an item without any price lines
+export const emptyPriceData = (itemCurrency = null) => applyPriceRules([], itemCurrency);
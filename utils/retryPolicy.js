@@ -0,0 +1,28 @@
+// =========================
+// NetSuite Retry Policy
+// =========================
+// Which failures are worth retrying and how long to wait between attempts.
+
+// Gateway errors NetSuite returns while it is restarting or overloaded
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+// Network failures; ECONNABORTED is how axios reports its own timeout
+const TRANSIENT_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "ECONNREFUSED", "EAI_AGAIN", "EPIPE"];
+
+// A server or network failure that may succeed on another attempt
+export const isTransientError = (err) => {
+  if (err.response) return TRANSIENT_STATUSES.includes(err.response.status);
+  return TRANSIENT_CODES.includes(err.code);
+};
+
+// Delay before retry `attempt` (1-based): exponential backoff from
+// config.retryBaseDelay, capped at config.retryMaxDelay, with equal jitter so
+// callers that failed together do not retry together. A Retry-After header
+// from NetSuite wins when present.
+export const retryDelay = (attempt, err, config) => {
+  const retryAfter = parseInt(err.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, config.retryMaxDelay);
+
+  const ceiling = Math.min(config.retryBaseDelay * 2 ** (attempt - 1), config.retryMaxDelay);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+};
@@ -0,0 +1,44 @@
+import { netsuiteRequest } from "./netsuiteRequest.js";
+import { paginate } from "./pagination.js";
+
+// =========================
+// Record Sublists
+// =========================
+// By default the record API returns sublists (price, locations, item, ...) as
+// a link to follow. With `expandSubResources=true` they come back inline as
+// { items, hasMore, ... }, saving one call for the sublist and one per line.
+
+export const EXPAND_SUB_RESOURCES = "expandSubResources=true";
+
+// Lines of a sublist that came back expanded, or null when it has to be
+// fetched through its link (not expanded, or NetSuite cut it short)
+export const expandedLines = (sublist) =>
+  Array.isArray(sublist?.items) && !sublist.hasMore ? sublist.items : null;
+
+// Every line of a sublist fetched through its link, following all pages
+// (a sublist collection pages like a record list). Resolves to
+// { lines, totalResults }.
+export async function fetchSublistLines(sublistUrl, account) {
+  const lines = [];
+  let totalResults = 0;
+
+  const fetchPage = async (offset, limit) => {
+    const url = new URL(sublistUrl);
+    url.searchParams.set("limit", limit);
+    url.searchParams.set("offset", offset);
+
+    const response = await netsuiteRequest({ url: url.toString(), account });
+    return {
+      items: response.data?.items || [],
+      hasMore: Boolean(response.data?.hasMore),
+      totalResults: response.data?.totalResults ?? 0
+    };
+  };
+
+  for await (const page of paginate(fetchPage)) {
+    lines.push(...page.items);
+    totalResults = page.totalResults;
+  }
+
+  return { lines, totalResults: Math.max(totalResults, lines.length) };
+}
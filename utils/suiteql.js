@@ -0,0 +1,72 @@
+import { getAccountConfig } from "../config/netsuite.js";
+import { netsuiteRequest } from "./netsuiteRequest.js";
+import { paginate, MAX_PAGE_SIZE } from "./pagination.js";
+
+export const SUITEQL_MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+// Quote a literal for inline use in a SuiteQL statement
+export const quoteSuiteQL = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Build a TO_DATE(...) expression using the account's date format
+export const suiteQLDate = (date, account) =>
+  `TO_DATE(${quoteSuiteQL(date)}, ${quoteSuiteQL(getAccountConfig(account).dateFormat)})`;
+
+// Offset of `timeZone` from UTC at `date`, in ms
+const zoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return zoned - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// ISO UTC timestamp of a SuiteQL TO_CHAR(..., 'YYYY-MM-DD"T"HH24:MI:SS') value,
+// which is in the account's time zone without an offset. Host time zone plays
+// no part, so stored dates compare the same on every server.
+export function suiteQLTimestamp(value, account) {
+  if (!value) return value;
+  const asUtc = new Date(`${value}Z`);
+  if (isNaN(asUtc.getTime())) return value;
+
+  const { timeZone } = getAccountConfig(account);
+  const utc = new Date(asUtc.getTime() - zoneOffset(asUtc, timeZone));
+  // Second pass for instants near a daylight-saving change
+  return new Date(asUtc.getTime() - zoneOffset(utc, timeZone)).toISOString();
+}
+
+// Run one page of a SuiteQL query against an account (default account when omitted)
+export async function runSuiteQL(query, { limit = SUITEQL_MAX_PAGE_SIZE, offset = 0, account } = {}) {
+  const config = getAccountConfig(account);
+  const url = `${config.suiteqlUrl}?limit=${limit}&offset=${offset}`;
+
+  const response = await netsuiteRequest({
+    method: "POST",
+    url,
+    account: config.name,
+    headers: { Prefer: "transient" },
+    data: { q: query }
+  });
+
+  return {
+    items: response.data?.items || [],
+    hasMore: Boolean(response.data?.hasMore),
+    offset: response.data?.offset ?? offset,
+    totalResults: response.data?.totalResults ?? 0
+  };
+}
+
+// Run a SuiteQL query and walk every page, stopping early once maxRows rows are collected
+export async function runSuiteQLAll(query, { pageSize = SUITEQL_MAX_PAGE_SIZE, maxRows = Infinity, account } = {}) {
+  const rows = [];
+
+  for await (const page of paginate((offset, limit) => runSuiteQL(query, { limit, offset, account }), { pageSize })) {
+    rows.push(...page.items);
+    if (rows.length >= maxRows) break;
+  }
+
+  return rows.slice(0, maxRows);
+}
@@ -0,0 +1,111 @@
+// =========================
+// Normalised Wine Attributes
+// =========================
+// `vintage`, `bottleSize` and `type` are free text from NetSuite ("2014",
+// "NV", "2010/2012", "Magnum", "150cl", "Red Wine"). Every transform adds
+// comparable companion fields next to them:
+//
+//   vintageYear     single vintage as a number, null for NV, multi-vintage or unknown
+//   vintageYears    every year named in the vintage (multi-vintage blends)
+//   nonVintage      vintage is NV / non-vintage
+//   multiVintage    vintage names several years or MV
+//   bottleVolumeMl  volume of one bottle in ml, null when unknown. A size
+//                   without a unit is read as ml if that is a standard
+//                   bottle ("375", "1500"), else as cl ("75", "150"); other
+//                   numbers (a stray "2014") and volumes outside 50 ml-30 l
+//                   count as unknown
+//   wineColour      canonical colour/type (WINE_COLOURS), "" when unknown
+
+export const WINE_COLOURS = ["red", "white", "rose", "orange", "sparkling", "sweet", "fortified"];
+
+// Named bottle formats in ml. Jeroboam follows the Champagne/Burgundy size;
+// the Bordeaux one (4.5-5 l) is usually given in litres.
+const NAMED_SIZES = [
+  [/\b(nebuchadnezzar|nabuchodonosor)\b/, 15000],
+  [/\bmelchior\b/, 18000],
+  [/\bbalthazar\b/, 12000],
+  [/\bsalmanazar\b/, 9000],
+  [/\b(imperial|imp[eé]riale|methuselah|mathusalem)\b/, 6000],
+  [/\brehoboam\b/, 4500],
+  [/\b(double magnum|jeroboam)\b/, 3000],
+  [/\bmagnum\b/, 1500],
+  [/\bclavelin\b/, 620],
+  [/\b(half|demi|halb)\b/, 375],
+  [/\b(piccolo|split|quarter)\b/, 187.5],
+  [/\b(bottle|standard|btl|bt)\b/, 750]
+];
+
+const UNIT_ML = { ml: 1, cl: 10, dl: 100, l: 1000, lt: 1000, ltr: 1000, litre: 1000, liter: 1000 };
+
+// Bottle volumes worth believing, in ml
+const MIN_BOTTLE_ML = 50;
+const MAX_BOTTLE_ML = 30000;
+
+// Standard bottle sizes in ml, for sizes given without a unit
+const STANDARD_SIZES = new Set([187.5, 200, 250, 375, 500, 620, 700, 750, 1000, 1500, 3000, 4500, 6000, 9000, 12000, 15000, 18000]);
+
+// Checked in order: a sparkling rosé is sparkling, a sweet white is sweet
+const COLOUR_PATTERNS = [
+  ["sparkling", /sparkling|champagne|cava|prosecco|cr[eé]mant|spumante|sekt|franciacorta|p[eé]tillant|frizzante/],
+  ["fortified", /fortified|\bport\b|porto|sherry|jerez|madeira|marsala|banyuls|vin doux naturel/],
+  ["sweet", /sweet|dessert|sauternes|barsac|tokaj|icewine|ice wine|eiswein|late harvest|vendange tardive|passito|\bvin santo\b|liquoreux/],
+  ["rose", /ros[eé]|rosado|rosato|\bblush\b/],
+  ["orange", /orange|skin[- ]contact|amber/],
+  ["red", /\bred\b|rouge|rosso|tinto|\brot\b/],
+  ["white", /white|blanc|bianco|blanco|\bweiss/]
+];
+
+const YEAR = /\b(1[89]\d{2}|20\d{2})\b/g;
+
+// Numeric vintage and NV/multi-vintage flags from free text
+export function normaliseVintage(vintage) {
+  const text = String(vintage ?? "").trim().toLowerCase();
+  const years = [...new Set((text.match(YEAR) || []).map(Number))].sort((a, b) => a - b);
+
+  const nonVintage = years.length === 0 && /^(nv|n\.v\.?|non[- ]?vintage|sans ann[eé]e)$/.test(text);
+  const multiVintage = years.length > 1 || /^(mv|m\.v\.?|multi[- ]?vintage)$/.test(text);
+
+  return {
+    vintageYear: years.length === 1 && !multiVintage ? years[0] : null,
+    vintageYears: years,
+    nonVintage,
+    multiVintage
+  };
+}
+
+// Volume of one bottle in ml from a size such as "75cl", "1.5L", "Magnum" or
+// "6x75cl" (the pack count is ignored); null when it cannot be read
+export function bottleVolumeMl(bottleSize) {
+  const text = String(bottleSize ?? "").trim().toLowerCase();
+  if (!text) return null;
+
+  const plausible = (ml) => ml >= MIN_BOTTLE_ML && ml <= MAX_BOTTLE_ML ? Math.round(ml * 10) / 10 : null;
+
+  const volumes = [...text.matchAll(/(\d+(?:[.,]\d+)?)\s*(ml|cl|dl|ltr|lt|litre|liter|l)\b/g)];
+  if (volumes.length > 0) {
+    const [, amount, unit] = volumes[volumes.length - 1];
+    return plausible(parseFloat(amount.replace(",", ".")) * UNIT_ML[unit]);
+  }
+
+  // A bare number is ml or cl, whichever makes it a standard bottle
+  if (/^\d+([.,]\d+)?$/.test(text)) {
+    const amount = parseFloat(text.replace(",", "."));
+    return [amount, amount * 10].find(ml => STANDARD_SIZES.has(ml)) ?? null;
+  }
+
+  return NAMED_SIZES.find(([pattern]) => pattern.test(text))?.[1] ?? null;
+}
+
+// Canonical colour/type from the wine type text, "" when none matches
+export function wineColour(type) {
+  const text = String(type ?? "").trim().toLowerCase();
+  if (!text) return "";
+  return COLOUR_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || "";
+}
+
+// Companion fields for a mapped item (vintage, bottleSize, type)
+export const normaliseWineAttributes = ({ vintage, bottleSize, type }) => ({
+  ...normaliseVintage(vintage),
+  bottleVolumeMl: bottleVolumeMl(bottleSize),
+  wineColour: wineColour(type)
+});